@@ -15,6 +15,7 @@ var procmanUtils = require('../procmanUtils');
 
 var debug = require('nef/debug');
 var BrokerDTP = require('./BrokerDTP');
+var Recorder = require('./recorder');
 var dtp = new BrokerDTP();
 
 var config = nefUtils.requireConfig('config/common');
@@ -49,6 +50,14 @@ events.declare('NEF_broker_worker_failedHb', {
     }
 });
 
+events.declare('NEF_broker_request_timeout', {
+    description: 'Worker did not reply to request in time',
+    range: 'private',
+    payload: {
+        type: 'object'
+    }
+});
+
 events.declare('NEF_broker_worker_recovered', {
     description: 'Worker has been recovered after HB failure',
     range: 'private',
@@ -62,6 +71,7 @@ class Broker {
     constructor() {
         this.sockets = [];
         this.workers = new workerRep.WorkerRepCollection();
+        this.recorder = new Recorder();
     }
 
     init(done) {
@@ -88,6 +98,7 @@ class Broker {
     }
 
     shutdown() {
+        this.recorder.stop('shutdown');
         this.closeSockets();
         process.exit(2);
     }
@@ -148,8 +159,14 @@ class Broker {
     onClientMessage(clientReq) {
         var name = clientReq.workerName;
 
-        this.workers.withAlive(name, (worker) => {
+        this.workers.withAlive(name, (worker, next) => {
+            // draining worker finishes pending requests only
+            if (worker.draining) {
+                return next(NefError('EAGAIN', __('Worker %s is stopping',
+                                                  name)));
+            }
             worker.routeApiCall(clientReq);
+            next();
         }, (err) => {
             if (err) {
                 return clientReq.errorReply(err);
@@ -240,18 +257,39 @@ class Broker {
 
     subscribeToWorker(worker) {
 
-        worker.on('request', (rid, data) => {
+        worker.on('request', (rid, data, clientReq) => {
             dtp.request(worker.name, data);
+            this.recorder.record('request', worker.name, rid, data,
+                                 clientReq);
             debug.broker.apiReq('>> %s [%s] %s', worker.name, rid,
                                 debug.strip(data, 40));
         });
 
-        worker.on('reply', (rid, data) => {
+        worker.on('reply', (rid, data, clientReq) => {
             dtp.reply(worker.name, data);
+            this.recorder.record('reply', worker.name, rid, data,
+                                 clientReq);
             debug.broker.apiRep('<< %s [%s] %s', worker.name, rid,
                                 debug.strip(data, 40));
         });
 
+        worker.on('requestTimeout', (data) => {
+            // request expired in queue was never sent to the worker
+            if (data.rid) {
+                this.recorder.record('timeout', worker.name, data.rid,
+                                     undefined, data.clientReq);
+            }
+            logger.warn(__('Request %s [%s] to %s timed out after %d ms ' +
+                           '(REST request %s)', data.method,
+                           data.rid || 'queued', worker.name, data.timeout,
+                           data.clientReq.requestId || '-'));
+            events.privateEvent('NEF_broker_request_timeout', {
+                name: worker.name,
+                method: data.method,
+                timeout: data.timeout
+            });
+        });
+
         worker.on('backToLife', () => {
             events.privateEvent('NEF_broker_worker_recovered', {
                 name: worker.name,
@@ -388,6 +426,20 @@ class BrokerClientRequest extends BrokerRequest {
         if (this.method === undefined) {
             throw Error('Missing method property');
         }
+
+        // optional deadline in ms set by client, overrides
+        // requestTimeout of the worker
+        if (this.input.timeout !== undefined) {
+            if (!(this.input.timeout > 0)) {
+                throw Error('Invalid timeout property');
+            }
+            this.timeout = this.input.timeout;
+        }
+
+        // optional id of REST request the call is done on behalf of
+        if (typeof this.input.requestId === 'string') {
+            this.requestId = this.input.requestId;
+        }
     }
 
     reply(err, data) {
@@ -25,11 +25,20 @@ api.getWorkers = function(args, done) {
 
 api.getStats = function(args, done) {
     var res = this.workers.all.map((worker) => {
+        var stats = {};
+
+        for (var key in worker.stats) {
+            stats[key] = worker.stats[key];
+        }
+        stats.pending = worker.pendingCount;
+        stats.queueDepth = worker.queue.length;
+        stats.methods = worker.getMethodStats();
+
         return {
             name: worker.name,
             connected: worker.connected,
             liveness: worker.liveness,
-            stats: worker.stats
+            stats: stats
         };
     });
     done(undefined, res);
@@ -63,6 +72,31 @@ api.updateWorkers = function(args, done) {
     done();
 };
 
+api.drainWorker = function(args, done) {
+    var worker = this.workers.find(args.name);
+
+    if (!worker) {
+        return done(NefError('ENOENT', __('Unknown worker: %s', args.name)));
+    }
+    worker.drain(args.timeout, done);
+};
+
+api.startRecording = function(args, done) {
+    this.recorder.start({
+        file: args.file,
+        workers: args.workers,
+        maxSize: args.maxSize
+    }, done);
+};
+
+api.stopRecording = function(args, done) {
+    this.recorder.stop(undefined, (status) => done(undefined, status));
+};
+
+api.getRecordingStatus = function(args, done) {
+    done(undefined, this.recorder.status());
+};
+
 api.ping = function(args, done) {
     done(undefined, args.msg || 'pong');
 };
@@ -0,0 +1,206 @@
+'use strict'
+
+var fs = require('fs');
+var logger = require('nef/logger');
+
+// Values of arguments and data fields with matching names are masked
+const SECRET_KEY_RE = /passw|secret|token|credential|private.?key/i;
+const MASKED_VALUE = '********';
+
+// Broker can't tell which sysconfig properties are protected, so values
+// of all properties set by requests to sysconfig are masked
+const SYSCONFIG_WORKER = 'sysconfig';
+
+/*
+ * Recorder of MDP requests and replies routed by the broker.
+ *
+ * Each record is written as one line of JSON to the capture file:
+ *
+ *   {
+ *     time: '2018-01-01T00:00:00.000Z',
+ *     type: 'request' | 'reply' | 'timeout',
+ *     worker: 'echo',
+ *     rid: '1514764800000-42',
+ *     client: '00800041a7',
+ *     method: 'echoSync',
+ *     requestId: 'b6c2a1e0-...',   // id of REST request if any
+ *     payload: '{"method":"echoSync","args":{"str":"foo"}}'
+ *   }
+ *
+ * Values of fields which look like passwords or other secrets and values
+ * of sysconfig properties in requests to sysconfig are masked in payload.
+ * Payload is left out if it can't be parsed. Recording stops by itself when capture file reaches maxSize
+ * bytes.
+ */
+class Recorder {
+
+    constructor() {
+        this.stream = undefined;
+        this.reset();
+    }
+
+    get active() {
+        return this.stream !== undefined;
+    }
+
+    reset() {
+        this.file = undefined;
+        this.workers = [];
+        this.maxSize = 0;
+        this.size = 0;
+        this.records = 0;
+        this.startTime = undefined;
+        this.stopReason = undefined;
+    }
+
+    start(opts, done) {
+        if (this.active) {
+            this.stop('restarted');
+        }
+
+        var stream = fs.createWriteStream(opts.file, {
+            flags: 'a',
+            mode: 0o600
+        });
+
+        stream.once('error', (err) => done(err));
+        stream.once('open', () => {
+            stream.removeAllListeners('error');
+            stream.on('error', (err) => {
+                logger.error(__('Failed to write capture file %s: %s',
+                                this.file, err.toString()));
+                this.stop('error');
+            });
+
+            this.reset();
+            this.stream = stream;
+            this.file = opts.file;
+            this.workers = opts.workers || [];
+            this.maxSize = opts.maxSize;
+            this.startTime = new Date();
+            done(undefined, this.status());
+        });
+    }
+
+    /**
+     * Stop recording. Optional callback gets status when the capture file
+     * is completely written and closed.
+     */
+    stop(reason, done) {
+        var stream = this.stream;
+
+        if (this.active) {
+            this.stream = undefined;
+            this.stopReason = reason || 'stopped';
+            stream.end();
+        }
+
+        var status = this.status();
+        if (done && stream) {
+            stream.once('close', () => done(status));
+        } else if (done) {
+            done(status);
+        }
+        return status;
+    }
+
+    status() {
+        return {
+            active: this.active,
+            file: this.file,
+            workers: this.workers,
+            maxSize: this.maxSize,
+            size: this.size,
+            records: this.records,
+            startTime: this.startTime && this.startTime.toISOString(),
+            stopReason: this.stopReason
+        };
+    }
+
+    /**
+     * Write record about message routed to/from worker if the worker
+     * is being recorded. Empty list of workers means all of them.
+     */
+    record(type, worker, rid, data, clientReq) {
+        if (!this.active) {
+            return;
+        }
+
+        if (this.workers.length > 0 && this.workers.indexOf(worker) === -1) {
+            return;
+        }
+
+        var line = JSON.stringify({
+            time: (new Date()).toISOString(),
+            type: type,
+            worker: worker,
+            rid: String(rid),
+            client: clientReq && clientReq.id && clientReq.id.toString('hex'),
+            method: clientReq && clientReq.method,
+            requestId: clientReq && clientReq.requestId,
+            payload: maskPayload(payloadToString(data), worker)
+        }) + '\n';
+
+        var size = Buffer.byteLength(line);
+        if (this.size + size > this.maxSize) {
+            this.stop('sizeLimit');
+            return;
+        }
+
+        this.size += size;
+        this.records += 1;
+        this.stream.write(line);
+    }
+}
+
+function payloadToString(data) {
+    if (data === undefined || typeof data === 'string') {
+        return data;
+    }
+    return data.map((buf) => buf.toString()).join('');
+}
+
+/*
+ * Replace values of secret fields in JSON payload. Payload which can't be
+ * parsed is not recorded at all, because it could not be masked.
+ */
+function maskPayload(payload, worker) {
+    if (payload === undefined) {
+        return payload;
+    }
+
+    try {
+        var obj = JSON.parse(payload);
+
+        if (worker === SYSCONFIG_WORKER && obj && obj.args) {
+            maskPropertyValues(obj.args);
+        }
+
+        return JSON.stringify(obj, (key, value) => {
+            if (SECRET_KEY_RE.test(key) && value !== null &&
+                    typeof value !== 'object') {
+                return MASKED_VALUE;
+            }
+            return value;
+        });
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/*
+ * Mask property values in arguments of sysconfig setters, i.e. value
+ * of setProperty and friends and values of bulkSetProperties pairs
+ */
+function maskPropertyValues(args) {
+    if (args.value !== undefined) {
+        args.value = MASKED_VALUE;
+    }
+    if (args.pairs !== null && typeof args.pairs === 'object') {
+        Object.keys(args.pairs).forEach((id) => {
+            args.pairs[id] = MASKED_VALUE;
+        });
+    }
+}
+
+module.exports = Recorder;
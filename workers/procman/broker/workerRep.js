@@ -5,6 +5,7 @@ var nefUtils = require('nef/utils');
 var config = nefUtils.requireConfig('config/common');
 var util = require('util');
 var NefError = require('nef/error').NefError;
+var logger = require('nef/logger');
 var debug = require('nef/debug');
 var EventEmitter = require('events').EventEmitter;
 
@@ -14,21 +15,214 @@ var defaultWorkerMeta = nefUtils.requireConfig('config/defaultWorker');
 const PREFIX_RID = (new Date().getTime()) + '-';
 var nextRid = 1;
 
+function newRid() {
+    return PREFIX_RID + (++nextRid);
+}
+
+// Latency percentiles are computed from samples not older than
+// STATS_WINDOW seconds, at most STATS_MAX_SAMPLES per method
+const STATS_WINDOW = 300;
+const STATS_MAX_SAMPLES = 1000;
+
+// Rids of expired requests are remembered to drop late replies silently
+const EXPIRED_RIDS_MAX = 1000;
+
+// Max number of requests waiting for a free slot of worker with
+// limited concurrency if worker meta doesn't define it
+const DEFAULT_MAX_QUEUE_LENGTH = 1000;
+
 const DEFAULT_PROCMAN_DATA = {
     enabled: false,
     running: false,
     online: false,
     heartbeatDisabled: false,
-    livenessCounter: defaultWorkerMeta.livenessCounter
+    livenessCounter: defaultWorkerMeta.livenessCounter,
+    requestTimeout: defaultWorkerMeta.requestTimeout
 };
 
+/*
+ * Call statistics of one API method of a worker
+ */
+class MethodStats {
+
+    constructor() {
+        this.calls = 0;
+        this.errors = {};
+        this.inFlight = 0;
+        this.samples = [];
+    }
+
+    start() {
+        this.calls += 1;
+        this.inFlight += 1;
+    }
+
+    finish(latency, errorCode) {
+        var now = Date.now();
+
+        this.inFlight = Math.max(this.inFlight - 1, 0);
+        if (errorCode) {
+            this.errors[errorCode] = (this.errors[errorCode] || 0) + 1;
+        }
+
+        this.samples.push({
+            time: now,
+            latency: latency
+        });
+        this.prune(now);
+    }
+
+    prune(now) {
+        var since = now - STATS_WINDOW * 1000;
+        var i = 0;
+
+        while (i < this.samples.length && this.samples[i].time < since) {
+            i++;
+        }
+        i = Math.max(i, this.samples.length - STATS_MAX_SAMPLES);
+        if (i > 0) {
+            this.samples = this.samples.slice(i);
+        }
+    }
+
+    toObject() {
+        this.prune(Date.now());
+
+        var latencies = this.samples.map((s) => s.latency).sort((a, b) => {
+            return a - b;
+        });
+        var percentile = (p) => {
+            if (latencies.length === 0) {
+                return undefined;
+            }
+            return latencies[Math.ceil(p / 100 * latencies.length) - 1];
+        };
+        var errorCount = 0;
+
+        for (var code in this.errors) {
+            errorCount += this.errors[code];
+        }
+
+        return {
+            calls: this.calls,
+            errors: errorCount,
+            errorsByCode: this.errors,
+            inFlight: this.inFlight,
+            samples: latencies.length,
+            p50: percentile(50),
+            p95: percentile(95),
+            p99: percentile(99)
+        };
+    }
+}
+
+/*
+ * Queue of client requests waiting for a free slot of the worker.
+ * Requests are kept in separate FIFO per key and keys are served
+ * in round-robin order, so one client can't starve the others.
+ */
+class RequestQueue {
+
+    constructor() {
+        this.queues = new Map();
+        this.length = 0;
+    }
+
+    push(key, item) {
+        if (!this.queues.has(key)) {
+            this.queues.set(key, []);
+        }
+        this.queues.get(key).push(item);
+        this.length += 1;
+    }
+
+    shift() {
+        if (this.length === 0) {
+            return undefined;
+        }
+
+        var key = this.queues.keys().next().value;
+        var queue = this.queues.get(key);
+        var item = queue.shift();
+
+        // move served key to the end of round
+        this.queues.delete(key);
+        if (queue.length > 0) {
+            this.queues.set(key, queue);
+        }
+        this.length -= 1;
+
+        return item;
+    }
+
+    remove(key, item) {
+        var queue = this.queues.get(key);
+        var idx = queue ? queue.indexOf(item) : -1;
+
+        if (idx === -1) {
+            return false;
+        }
+
+        queue.splice(idx, 1);
+        if (queue.length === 0) {
+            this.queues.delete(key);
+        }
+        this.length -= 1;
+
+        return true;
+    }
+
+    clear() {
+        var res = [];
+
+        for (var queue of this.queues.values()) {
+            res = res.concat(queue);
+        }
+        this.queues.clear();
+        this.length = 0;
+
+        return res;
+    }
+}
+
+/*
+ * Replies are serialized as {"method": ..., "status": ...} for errors and
+ * {"method": ..., "data": ...} otherwise (see formatReply() of requests),
+ * so error is recognized by the start of reply without scanning the data.
+ */
+const ERROR_REPLY_RE = /^\{(?:"method":"[^"\\]*",)?"status":/;
+
+/*
+ * Get error code from reply of a worker. Reply is parsed only if it
+ * starts as an error to keep routing of big replies cheap.
+ */
+function replyErrorCode(replyData) {
+    if (!ERROR_REPLY_RE.test(replyData)) {
+        return undefined;
+    }
+
+    try {
+        var reply = JSON.parse(replyData);
+    } catch (err) {
+        return undefined;
+    }
+
+    if (reply && reply.status) {
+        return reply.status.code || 'EFAILED';
+    }
+    return undefined;
+}
+
 class WorkerRep extends EventEmitter {
 
     constructor(name) {
         super();
         this.name = name;
         this.pending = {};
+        this.expired = new Set();
+        this.queue = new RequestQueue();
         this.liveness = 0;
+        this.draining = false;
 
         this.socket = undefined;
         this.id = undefined;
@@ -72,6 +266,19 @@ class WorkerRep extends EventEmitter {
         return this.procmanData && this.procmanData.livenessCounter || 5;
     }
 
+    get requestTimeout() {
+        return this.procmanData.requestTimeout;
+    }
+
+    get maxConcurrency() {
+        return this.procmanData.maxConcurrency || Infinity;
+    }
+
+    get maxQueueLength() {
+        var res = this.procmanData.maxQueueLength;
+        return res === undefined ? DEFAULT_MAX_QUEUE_LENGTH : res;
+    }
+
     get pid() {
         return this.procmanData && this.procmanData.pid || undefined;
     }
@@ -85,6 +292,7 @@ class WorkerRep extends EventEmitter {
         this.strId = sanId(id);
         this.socket = socket;
         this.connected = true;
+        this.draining = false;
         this.stats.connectedTimes += 1;
 
         // Overwrite procmanData for the case
@@ -103,10 +311,20 @@ class WorkerRep extends EventEmitter {
         this.stopHbChecker();
         var oldId = this.id;
 
-        this.popAllPendingReq().forEach((clientReq) => {
+        var requests = this.popAllPendingReq().concat(this.queue.clear());
+
+        requests.forEach((clientReq) => {
+            clearTimeout(clientReq.deadlineTimer);
+        });
+
+        requests.forEach((clientReq) => {
+            this.finishCall(clientReq, 'EAGAIN');
             clientReq.errorReply('EAGAIN', __('Worker %s is recovering',
                                                this.name));
         });
+        this.expired.clear();
+        this.draining = false;
+        this.emit('drained');
 
         this.socket = undefined;
         this.id = undefined;
@@ -117,6 +335,40 @@ class WorkerRep extends EventEmitter {
         });
     }
 
+    /**
+     * Stop routing new requests to the worker and wait till pending
+     * requests are replied, at most timeout seconds. Draining ends when
+     * the worker disconnects or connects again.
+     */
+    drain(timeout, done) {
+        var timer;
+
+        var finish = () => {
+            clearTimeout(timer);
+            this.removeListener('drained', finish);
+            done(undefined, {
+                drained: this.pendingCount === 0,
+                pending: this.pendingCount
+            });
+        };
+
+        this.draining = true;
+        if (this.pendingCount === 0) {
+            return finish();
+        }
+
+        timer = setTimeout(finish, timeout * 1000);
+        this.on('drained', finish);
+    }
+
+    get inFlightCount() {
+        return Object.keys(this.pending).length;
+    }
+
+    get pendingCount() {
+        return this.inFlightCount + this.queue.length;
+    }
+
     makeAlive() {
         if (this.liveness < 0) {
             this.emit('backToLife');
@@ -147,16 +399,18 @@ class WorkerRep extends EventEmitter {
             // be able to send normal response
             // (as far as I understand during refactoring, Artem)
 
-            this.emit('request', '-', clientReq.inputData);
+            var abortRid = newRid();
+
+            this.emit('request', abortRid, clientReq.inputData, clientReq);
             this.sendRequest(clientReq.id, clientReq.inputData);
 
             this.stats.responses += 1;
-            this.emit('reply', '-', 'null');
+            this.emit('reply', abortRid, 'null', clientReq);
             clientReq.goodReply(null);
+        } else if (this.inFlightCount >= this.maxConcurrency) {
+            this.enqueueReq(clientReq);
         } else {
-            var rid = this.storePendingReq(clientReq);
-            this.emit('request', rid, clientReq.inputData);
-            this.sendRequest(rid, clientReq.inputData);
+            var rid = this.dispatchReq(clientReq);
         }
 
         return rid;
@@ -170,16 +424,27 @@ class WorkerRep extends EventEmitter {
         var clientReq = this.extractPendingReq(rid);
 
         if (!clientReq) {
+            if (this.expired.delete(rid.toString())) {
+                // client already got ETIMEDOUT for this request
+                this.stats.lateReplies += 1;
+                debug.broker.trace('Drop late reply from %s [%s]',
+                                   this.name, rid);
+                return rid;
+            }
+
             this.stats.protocolErrors += 1;
             logger.error(__('Received not identifier reply from ' +
                             '%s: request %s, pending message ' +
                             'absent (possibly double response)',
                             this.name, rid));
             logger.error(__('Reply content: %s', replyData));
+            return rid;
         }
 
-        this.emit('reply', rid, replyData);
+        this.finishCall(clientReq, replyErrorCode(replyData));
+        this.emit('reply', rid, replyData, clientReq);
         clientReq.sendReply(replyData);
+        this.dispatchQueuedReqs();
 
         return rid;
     }
@@ -222,8 +487,42 @@ class WorkerRep extends EventEmitter {
             responses: 0,
             protocolErrors: 0,
             failedHeartbeats: 0,
-            missedHeartbeats: 0
+            missedHeartbeats: 0,
+            timeouts: 0,
+            lateReplies: 0,
+            queuedRequests: 0,
+            rejectedRequests: 0,
+            queueWaitTime: 0,
+            maxQueueWait: 0
         };
+        this.methodStats = {};
+    }
+
+    startCall(clientReq) {
+        var method = clientReq.method;
+
+        if (!this.methodStats[method]) {
+            this.methodStats[method] = new MethodStats();
+        }
+        clientReq.startTime = Date.now();
+        this.methodStats[method].start();
+    }
+
+    finishCall(clientReq, errorCode) {
+        var stats = this.methodStats[clientReq.method];
+
+        if (stats && clientReq.startTime) {
+            stats.finish(Date.now() - clientReq.startTime, errorCode);
+        }
+    }
+
+    getMethodStats() {
+        var res = {};
+
+        for (var method in this.methodStats) {
+            res[method] = this.methodStats[method].toObject();
+        }
+        return res;
     }
 
     incStats(key, interval) {
@@ -231,21 +530,162 @@ class WorkerRep extends EventEmitter {
         this.stats[key] += interval;
     }
 
+    dispatchReq(clientReq) {
+        this.startCall(clientReq);
+        var rid = this.storePendingReq(clientReq);
+        this.emit('request', rid, clientReq.inputData, clientReq);
+        this.sendRequest(rid, clientReq.inputData);
+
+        return rid;
+    }
+
+    enqueueReq(clientReq) {
+        if (this.queue.length >= this.maxQueueLength) {
+            this.stats.rejectedRequests += 1;
+            clientReq.errorReply('EBUSY', __('Worker %s is busy, %d ' +
+                                             'requests in queue', this.name,
+                                             this.queue.length));
+            return;
+        }
+
+        var key = this.procmanData.fairQueueing ? sanId(clientReq.id) : '';
+        var timeout = this.requestDeadline(clientReq);
+
+        clientReq.queueTime = Date.now();
+        this.stats.queuedRequests += 1;
+        this.queue.push(key, clientReq);
+
+        // request which can't get a free slot in time is never dispatched
+        if (timeout) {
+            clientReq.deadlineTimer = setTimeout(() => {
+                if (this.queue.remove(key, clientReq)) {
+                    this.expireQueuedReq(clientReq, timeout);
+                }
+            }, timeout);
+        }
+    }
+
+    dispatchQueuedReqs() {
+        while (this.queue.length > 0 &&
+               this.inFlightCount < this.maxConcurrency) {
+            var clientReq = this.queue.shift();
+            var wait = Date.now() - clientReq.queueTime;
+            var timeout = this.requestDeadline(clientReq);
+
+            clearTimeout(clientReq.deadlineTimer);
+            if (timeout && wait >= timeout) {
+                // deadline has come, but its timer didn't fire yet
+                this.expireQueuedReq(clientReq, timeout);
+                continue;
+            }
+
+            this.stats.queueWaitTime += wait;
+            this.stats.maxQueueWait = Math.max(this.stats.maxQueueWait,
+                                               wait);
+            this.dispatchReq(clientReq);
+        }
+    }
+
     storePendingReq(clientReq) {
-        var newRid = PREFIX_RID + (++nextRid);
-        this.pending[newRid] = clientReq;
-        return newRid;
+        var rid = newRid();
+        var timeout = this.requestDeadline(clientReq);
+
+        this.pending[rid] = clientReq;
+
+        if (!timeout) {
+            return rid;
+        }
+
+        // time spent in queue counts towards the deadline, queued request
+        // is expired before it runs out
+        var left = timeout;
+        if (clientReq.queueTime) {
+            left = timeout - (Date.now() - clientReq.queueTime);
+        }
+
+        clientReq.deadlineTimer = setTimeout(() => {
+            this.expirePendingReq(rid, timeout);
+        }, left);
+
+        return rid;
+    }
+
+    /*
+     * Deadline of request in ms. Request has no deadline unless worker
+     * meta or client sets it.
+     */
+    requestDeadline(clientReq) {
+        return clientReq.timeout ||
+               (this.requestTimeout && this.requestTimeout * 1000);
+    }
+
+    /**
+     * Reply ETIMEDOUT to the client if the request was still waiting in
+     * queue when its deadline came.
+     */
+    expireQueuedReq(clientReq, timeout) {
+        this.stats.timeouts += 1;
+        this.emit('requestTimeout', {
+            method: clientReq.method,
+            timeout: timeout,
+            clientReq: clientReq
+        });
+
+        clientReq.errorReply('ETIMEDOUT', __('Request %s waited for free ' +
+                                             'slot of worker %s for %d ms',
+                                             clientReq.method, this.name,
+                                             timeout));
+    }
+
+    /**
+     * Reply ETIMEDOUT to the client if worker didn't reply in time.
+     * Reply which may come later is dropped.
+     */
+    expirePendingReq(rid, timeout) {
+        var clientReq = this.extractPendingReq(rid);
+
+        if (!clientReq) {
+            return;
+        }
+
+        this.expired.add(rid);
+        if (this.expired.size > EXPIRED_RIDS_MAX) {
+            this.expired.delete(this.expired.values().next().value);
+        }
+
+        this.stats.timeouts += 1;
+        this.finishCall(clientReq, 'ETIMEDOUT');
+        this.emit('requestTimeout', {
+            rid: rid,
+            method: clientReq.method,
+            timeout: timeout,
+            clientReq: clientReq
+        });
+
+        clientReq.errorReply('ETIMEDOUT', __('Worker %s did not reply to ' +
+                                             '%s in %d ms', this.name,
+                                             clientReq.method, timeout));
+        this.dispatchQueuedReqs();
     }
 
     extractPendingReq(rid) {
         var res = this.pending[rid];
         delete this.pending[rid];
+
+        if (res) {
+            clearTimeout(res.deadlineTimer);
+        }
+
+        if (this.draining && this.pendingCount === 0) {
+            this.emit('drained');
+        }
         return res;
     }
 
     popAllPendingReq() {
         var res = [];
         for (var rid in this.pending) {
+            clearTimeout(this.pending[rid].deadlineTimer);
             res.push(this.pending[rid]);
         }
         this.pending = {};
@@ -288,16 +728,21 @@ class BrokerWorkerRep extends WorkerRep {
 
     routeApiCall(clientReq) {
         var handler = brokerApi.handleCall.bind(this.broker);
+        var rid = newRid();
 
         this.stats.requests += 1;
-        this.emit('request', '-', clientReq.inputData);
+        this.startCall(clientReq);
+        this.emit('request', rid, clientReq.inputData, clientReq);
         handler(clientReq.input, (err, res) => {
             var replyData = clientReq.formatReply(err, res);
 
             this.stats.responses += 1;
-            this.emit('reply', '-', replyData);
+            this.finishCall(clientReq, err && (err.code || 'EFAILED'));
+            this.emit('reply', rid, replyData, clientReq);
             clientReq.sendReply(replyData);
         });
+
+        return rid;
     }
 
     routeReply(workerReq) {
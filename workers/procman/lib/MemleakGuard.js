@@ -1,20 +1,33 @@
 
 'use strict'
 
+var _ = require('lodash');
 var async = require('async');
 var fs = require('fs');
 var path = require('path');
 var nefUtils = require('nef/utils');
 var logger = require('nef/logger');
+var events = require('nef/events');
+var interop = require('nef/interop');
 var procmanUtils = require('../procmanUtils');
 
 var commonConfig = nefUtils.requireConfig('config/common');
 var MEMORY_LOG_FILE = '/var/log/nef.memory.stats';
 
+// Memory growth is detected by linear regression over the last
+// samples of worker. Growth is sustained if the samples fit the line
+// well enough (coefficient of determination >= TREND_MIN_R2).
+const TREND_WINDOW = 60;
+const TREND_MIN_SAMPLES = 10;
+const TREND_MIN_R2 = 0.9;
+const DEFAULT_GROWTH_LIMIT = 20; // MB per hour
+
 class MemleakGuard {
     constructor(procman) {
         this.timer = undefined;
         this.procman = procman;
+        this.samples = {};
+        this.warned = {};
     }
 
     reschedule(interval, done) {
@@ -65,6 +78,8 @@ class MemleakGuard {
 
         var stats = {};
 
+        this.prune();
+
         async.forEach(workers, (worker, next) => {
             if (!worker.meta.memleakGuardEnabled) {
                 return next();
@@ -82,12 +97,11 @@ class MemleakGuard {
                     memory: usedMemory
                 };
 
-                if (worker.unkillable) {
-                    return next();
-                }
+                this.addSample(worker, usedMemory);
 
-                if (usedMemory <= worker.meta.memleakGuardTrigger) {
-                    return next();
+                if (usedMemory <= worker.meta.memleakGuardTrigger ||
+                    worker.unkillable) {
+                    return this.checkTrend(worker, usedMemory, next);
                 }
 
                 logger.error(__('Restart worker %s, it took too much ' +
@@ -97,6 +111,7 @@ class MemleakGuard {
 
                 worker.restart({
                     cause: 'Exceeded memory threshold',
+                    reason: 'memleak',
                     collectCore: worker.meta.memleakGuardCollectCore
                 }, next);
             });
@@ -109,6 +124,153 @@ class MemleakGuard {
         });
     }
 
+    addSample(worker, memory) {
+        var samples = this.samples[worker.name];
+        var window = worker.meta.memleakGuardWindow || TREND_WINDOW;
+
+        // new process, start from scratch
+        if (!samples || samples.pid !== worker.pid) {
+            samples = this.samples[worker.name] = [];
+            samples.pid = worker.pid;
+            delete this.warned[worker.name];
+        }
+
+        samples.push({
+            time: Date.now(),
+            memory: memory
+        });
+        if (samples.length > window) {
+            samples.splice(0, samples.length - window);
+        }
+    }
+
+    /**
+     * Forget samples of workers which were removed, disabled or have
+     * the guard disabled
+     */
+    prune() {
+        var names = _.union(Object.keys(this.samples),
+                            Object.keys(this.warned));
+
+        names.forEach((name) => {
+            var worker = this.procman.workers.get(name);
+
+            if (!worker || !worker.enabled ||
+                !worker.meta.memleakGuardEnabled) {
+                delete this.samples[name];
+                delete this.warned[name];
+            }
+        });
+    }
+
+    /**
+     * Memory growth trend of worker in MB per hour
+     */
+    getTrend(worker) {
+        var samples = this.samples[worker.name] || [];
+        var limit = worker.meta.memleakGuardGrowthLimit ||
+                    DEFAULT_GROWTH_LIMIT;
+        var res = {
+            growthRate: 0,
+            fit: 0,
+            growing: false
+        };
+
+        if (samples.length < TREND_MIN_SAMPLES) {
+            return res;
+        }
+
+        var line = linearFit(samples.map((s) => (s.time - samples[0].time) /
+                                                 3600000),
+                             samples.map((s) => s.memory));
+        var last = samples[samples.length - 1].memory;
+
+        res.growthRate = Math.round(line.slope * 100) / 100;
+        res.fit = Math.round(line.r2 * 100) / 100;
+        res.growing = line.slope > limit && line.r2 >= TREND_MIN_R2;
+
+        if (line.slope > 0 && worker.meta.memleakGuardTrigger > last) {
+            var hours = (worker.meta.memleakGuardTrigger - last) / line.slope;
+            res.triggerTime = new Date(Date.now() + hours * 3600000)
+                              .toISOString();
+        }
+
+        return res;
+    }
+
+    /**
+     * Warn about sustained memory growth once per process and restart
+     * the worker, if it's allowed by meta, when it has no requests
+     * in progress
+     */
+    checkTrend(worker, memory, done) {
+        var trend = this.getTrend(worker);
+
+        if (!trend.growing) {
+            return done();
+        }
+
+        if (!this.warned[worker.name]) {
+            this.warned[worker.name] = true;
+            logger.warn(__('Memory usage of worker %s keeps growing: ' +
+                           '%sMB, +%sMB per hour', worker.name, memory,
+                           trend.growthRate));
+            events.jointEvent('NEF_procman_memory_growth', {
+                name: worker.name,
+                memory: memory,
+                growthRate: trend.growthRate,
+                triggerTime: trend.triggerTime
+            });
+        }
+
+        if (!worker.meta.memleakGuardTrendRestart || worker.unkillable) {
+            return done();
+        }
+
+        interop.call('broker', 'getStats', {}, (err, res) => {
+            if (err) {
+                return done(err);
+            }
+
+            var data = res.find((el) => el.name === worker.name);
+            if (!data || data.stats.pending > 0) {
+                // not a quiet moment, try next time
+                return done();
+            }
+
+            logger.warn(__('Restart worker %s, its memory usage keeps ' +
+                           'growing: %sMB, +%sMB per hour', worker.name,
+                           memory, trend.growthRate));
+
+            worker.restart({
+                cause: 'Memory usage keeps growing',
+                reason: 'memleak',
+                graceful: true,
+                collectCore: worker.meta.memleakGuardCollectCore
+            }, done);
+        });
+    }
+
+    /**
+     * Memory samples kept for the worker and their trend
+     */
+    getHistory(worker) {
+        var samples = this.samples[worker.name] || [];
+
+        return {
+            name: worker.name,
+            pid: samples.pid,
+            trigger: worker.meta.memleakGuardTrigger,
+            samples: samples.map((s) => {
+                return {
+                    time: new Date(s.time).toISOString(),
+                    memory: s.memory
+                };
+            }),
+            trend: this.getTrend(worker)
+        };
+    }
+
     saveMemoryStats(stats, done) {
         if (!commonConfig.memleakGuardSaveHistory) {
             return done();
@@ -134,4 +296,35 @@ class MemleakGuard {
     }
 }
 
+/*
+ * Least squares line fit, returns slope and coefficient
+ * of determination
+ */
+function linearFit(xs, ys) {
+    var n = xs.length;
+    var meanX = xs.reduce((a, b) => a + b, 0) / n;
+    var meanY = ys.reduce((a, b) => a + b, 0) / n;
+    var sxx = 0;
+    var sxy = 0;
+    var syy = 0;
+
+    for (var i = 0; i < n; i++) {
+        sxx += (xs[i] - meanX) * (xs[i] - meanX);
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        syy += (ys[i] - meanY) * (ys[i] - meanY);
+    }
+
+    if (sxx === 0 || syy === 0) {
+        return {
+            slope: 0,
+            r2: 0
+        };
+    }
+
+    return {
+        slope: sxy / sxx,
+        r2: (sxy * sxy) / (sxx * syy)
+    };
+}
+
 module.exports = MemleakGuard;
@@ -31,6 +31,10 @@ var MemleakGuard = require('./MemleakGuard');
 
 const SPAWN_TIMEOUT = config.procmanSpawnWait;
 
+// Fixture workers of procman tests, they are loaded in test environment
+// only, so that they never show up on real systems
+const TEST_WORKERS_DIR = path.join(__dirname, '..', 'tests', 'workers');
+
 class Procman extends EventEmitter {
 
     constructor() {
@@ -75,6 +79,7 @@ class Procman extends EventEmitter {
             next => procDb.init(opts.resetDb, next),
             next => this.startBroker(next),
             next => this.scan(next),
+            next => this.validateWorkers(next),
             next => this.workers.updateIndicies(next),
             next => this.workers.updateEnabledState(opts, next)
         ], done);
@@ -82,6 +87,7 @@ class Procman extends EventEmitter {
 
     start(done) {
         this.state = 'starting';
+        this.startTime = new Date();
         logger.info(__('Starting NEF in %s environment',
                         process.env.NEF_ENV));
 
@@ -148,6 +154,7 @@ class Procman extends EventEmitter {
 
         worker.restart({
             cause: 'Failed HB check',
+            reason: 'heartbeat',
             collectCore: true,
         });
     }
@@ -167,7 +174,13 @@ class Procman extends EventEmitter {
      * Scanning procedure
      */
     scan(done) {
-        async.each(config.workersDirs, (dir, next) => {
+        var dirs = config.workersDirs;
+
+        if (process.env.NEF_ENV === 'test') {
+            dirs = dirs.concat(TEST_WORKERS_DIR);
+        }
+
+        async.each(dirs, (dir, next) => {
             fs.readdir(dir, (err, names) => {
                 if (err) {
                     logger.warn(__('Failed to read workers from dir %s: %s',
@@ -191,6 +204,26 @@ class Procman extends EventEmitter {
         }, done);
     }
 
+    /*
+     * Check dependencies of the whole worker set. Workers with errors
+     * will be kept offline by supervisor, so they don't stall startup
+     * of the rest.
+     */
+    validateWorkers(done) {
+        var problems = this.workers.validate();
+
+        this.workers.find().forEach((worker) => {
+            worker.problems = problems[worker.name] || [];
+            worker.problems.forEach((problem) => {
+                var level = problem.severity === 'error' ? 'error' : 'warn';
+                logger[level](__('Invalid meta of worker %s: %s',
+                                 worker.name, problem.description));
+            });
+        });
+
+        done();
+    }
+
     loadWorker(name, dir, done) {
         if (this.workers.get(name)) {
             return done(NefError('EINVAL',
@@ -265,7 +298,8 @@ class Procman extends EventEmitter {
         }).forEach((worker) => {
             if (worker.status === 'online') {
                 online.push(worker.name);
-            } else if (['offline', 'stopping'].indexOf(worker.status) > -1) {
+            } else if (worker.statusIn(['offline', 'stopping',
+                                        'maintenance'])) {
                 failed.push(worker.name);
             } else {
                 stillWait.push(worker.name);
@@ -277,6 +311,7 @@ class Procman extends EventEmitter {
         }
 
         this.state = 'online';
+        this.startCompleteTime = new Date();
         if (failed.length > 0) {
             logger.error(__('%(app)s started with problems. ' +
                             '%(online)d workers are running, ' +
@@ -300,6 +335,76 @@ class Procman extends EventEmitter {
         });
     }
 
+    /**
+     * Startup timeline of enabled workers and the chain of dependencies
+     * which determined total boot time. The chain is built backwards
+     * from the worker which came online last: each next link is its
+     * dependency which came online last.
+     */
+    getStartupTimeline() {
+        var graph = this.workers.getGraph();
+        var timeline = {};
+
+        this.workers.find({
+            enabled: true
+        }).forEach((worker) => {
+            var entry = nefUtils.shallowExtend({
+                name: worker.name,
+                status: worker.status
+            }, worker.timeline);
+
+            if (entry.spawnTime && entry.onlineTime) {
+                entry.startupDuration = Date.parse(entry.onlineTime) -
+                                        Date.parse(entry.spawnTime);
+            }
+            timeline[worker.name] = entry;
+        });
+
+        var onlineTime = (name) => {
+            var entry = timeline[name];
+            return entry && entry.onlineTime ? Date.parse(entry.onlineTime) :
+                                               -1;
+        };
+
+        var last;
+        for (var name in timeline) {
+            if (onlineTime(name) > -1 &&
+                (!last || onlineTime(name) > onlineTime(last))) {
+                last = name;
+            }
+        }
+
+        var criticalPath = [];
+        while (last && criticalPath.indexOf(last) === -1) {
+            criticalPath.unshift(last);
+
+            var next = undefined;
+            graph.edges.forEach((edge) => {
+                if (edge.from === last && onlineTime(edge.to) > -1 &&
+                    (!next || onlineTime(edge.to) > onlineTime(next))) {
+                    next = edge.to;
+                }
+            });
+            last = next;
+        }
+
+        var workers = Object.keys(timeline).map((name) => timeline[name]);
+        workers.sort((a, b) => {
+            return (a.queuedTime || '~').localeCompare(b.queuedTime || '~');
+        });
+
+        return {
+            state: this.state,
+            startTime: this.startTime && this.startTime.toISOString(),
+            startCompleteTime: this.startCompleteTime &&
+                               this.startCompleteTime.toISOString(),
+            duration: this.startCompleteTime &&
+                      this.startCompleteTime - this.startTime,
+            workers: workers,
+            criticalPath: criticalPath
+        };
+    }
+
     onExit(done) {
         logger.info(__('Shutdown %s', config.procmanAppIdent));
         this.state = 'stopping';
@@ -437,9 +542,15 @@ class Supervisor {
 
         this.procman.workers.find({
             enabled: true,
-            statusNotIn: ['queued', 'starting', 'stopping']
+            statusNotIn: ['queued', 'starting', 'stopping', 'maintenance']
         }).forEach((worker) => {
-            if (!worker.running && !worker.isRespawnDelayed()) {
+            var problem = worker.blockingProblem;
+
+            if (problem) {
+                if (!worker.running && worker.status !== 'offline') {
+                    worker.setStatus('offline', problem.description);
+                }
+            } else if (!worker.running && !worker.isRespawnDelayed()) {
                 worker.setStatus('queued', __('Waiting in the queue'));
             } else if (worker.status === 'restarting') {
                 worker.stop();
@@ -460,7 +571,7 @@ class Supervisor {
                     return false;
                 }
 
-                if (w.status === 'offline') {
+                if (w.statusIn(['offline', 'maintenance'])) {
                     failedDeps.push(w.name);
                 }
 
@@ -602,6 +713,145 @@ class Workers {
         return res;
     }
 
+    /*
+     * Names of workers matching name or tag:<name> entry of
+     * require/after/before list. Unknown names are not reported.
+     */
+    expandName(name) {
+        if (name.startsWith('tag:')) {
+            var tag = name.slice(4);
+            return this.getNames().filter((other) => {
+                return this.get(other).tags.indexOf(tag) >= 0;
+            });
+        }
+
+        return this.get(name) ? [name] : [];
+    }
+
+    /*
+     * Dependency graph of all workers. Edge from A to B means that
+     * A starts after B because of A's require or after list or
+     * B's before list. Cycles are strongly connected components
+     * of the graph.
+     */
+    getGraph() {
+        var nodes = [];
+        var edges = [];
+        var unresolved = [];
+
+        var addEdges = (worker, type) => {
+            worker[type].forEach((entry) => {
+                var names = this.expandName(entry);
+
+                if (names.length === 0) {
+                    unresolved.push({
+                        worker: worker.name,
+                        type: type,
+                        name: entry
+                    });
+                }
+
+                names.forEach((name) => {
+                    if (name === worker.name && entry !== name) {
+                        // worker matches its own tag
+                        return;
+                    }
+
+                    var edge = {
+                        from: type === 'before' ? name : worker.name,
+                        to: type === 'before' ? worker.name : name,
+                        type: type
+                    };
+                    if (entry !== name) {
+                        edge.via = entry;
+                    }
+                    edges.push(edge);
+                });
+            });
+        };
+
+        this.find().forEach((worker) => {
+            nodes.push({
+                name: worker.name,
+                tags: worker.tags,
+                status: worker.status,
+                statusDescription: worker.statusDescr,
+                enabled: worker.enabled,
+                startIndex: worker.startIndex
+            });
+
+            addEdges(worker, 'require');
+            addEdges(worker, 'after');
+            addEdges(worker, 'before');
+        });
+
+        return {
+            nodes: nodes,
+            edges: edges,
+            cycles: findCycles(nodes.map((n) => n.name), edges),
+            unresolved: unresolved
+        };
+    }
+
+    /*
+     * Find problems in dependencies of workers: cycles, entries
+     * of require/after/before lists matching no worker, and workers
+     * listed in both after and before lists of the same worker.
+     * Returns problems grouped by worker name.
+     */
+    validate() {
+        var graph = this.getGraph();
+        var res = {};
+
+        var add = (name, problem) => {
+            res[name] = res[name] || [];
+            res[name].push(problem);
+        };
+
+        var expand = (list) => {
+            return _(list).map((entry) => this.expandName(entry))
+                          .flatten().uniq().value();
+        };
+
+        graph.cycles.forEach((cycle) => {
+            cycle.forEach((name) => {
+                add(name, {
+                    type: 'cycle',
+                    severity: 'error',
+                    workers: cycle,
+                    description: __('Dependency cycle: %s',
+                                    cycle.join(', '))
+                });
+            });
+        });
+
+        graph.unresolved.forEach((entry) => {
+            add(entry.worker, {
+                type: 'unknownDependency',
+                severity: entry.type === 'require' ? 'error' : 'warning',
+                workers: [entry.name],
+                description: __('Unknown worker in %s list: %s',
+                                entry.type, entry.name)
+            });
+        });
+
+        this.find().forEach((worker) => {
+            var both = _.intersection(expand(worker.after),
+                                      expand(worker.before));
+            if (both.length > 0) {
+                add(worker.name, {
+                    type: 'contradiction',
+                    severity: 'error',
+                    workers: both,
+                    description: __('Workers both in after and before ' +
+                                    'lists: %s', both.join(', '))
+                });
+            }
+        });
+
+        return res;
+    }
+
     //
     // Function chekcs for looped dependencies, loops in after/before
     // lists, and index each worker with unique startIndex, that could
@@ -661,9 +911,15 @@ class Workers {
                     return `${name} on ${Array.from(matrix[name])}`;
                 }).join('\n  ');
 
-                var msg = __('Found recusive dependency.' +
-                             ' Unresolved dependencies: \n  %s', deps);
-                return done(NefError('EINVAL', msg));
+                // workers in cycles are reported by validate() and
+                // not started, so just give them the last indicies
+                logger.warn(__('Found recusive dependency.' +
+                               ' Unresolved dependencies: \n  %s', deps));
+                for (var name of unindexed) {
+                    this.get(name).startIndex = idx;
+                    idx += 1;
+                }
+                break;
             }
         }
 
@@ -711,5 +967,60 @@ class Workers {
     }
 }
 
+/*
+ * Tarjan's algorithm, returns strongly connected components
+ * with more than one node or with a self loop
+ */
+function findCycles(names, edges) {
+    var adjacent = {};
+    var index = {};
+    var lowLink = {};
+    var onStack = {};
+    var stack = [];
+    var idx = 0;
+    var res = [];
+
+    names.forEach((name) => adjacent[name] = []);
+    edges.forEach((edge) => adjacent[edge.from].push(edge.to));
+
+    var visit = (name) => {
+        index[name] = lowLink[name] = idx++;
+        stack.push(name);
+        onStack[name] = true;
+
+        adjacent[name].forEach((next) => {
+            if (index[next] === undefined) {
+                visit(next);
+                lowLink[name] = Math.min(lowLink[name], lowLink[next]);
+            } else if (onStack[next]) {
+                lowLink[name] = Math.min(lowLink[name], index[next]);
+            }
+        });
+
+        if (lowLink[name] === index[name]) {
+            var component = [];
+            var el;
+            do {
+                el = stack.pop();
+                onStack[el] = false;
+                component.push(el);
+            } while (el !== name);
+
+            if (component.length > 1 ||
+                adjacent[name].indexOf(name) > -1) {
+                res.push(component.reverse());
+            }
+        }
+    };
+
+    names.forEach((name) => {
+        if (index[name] === undefined) {
+            visit(name);
+        }
+    });
+
+    return res;
+}
+
 module.exports = Procman;
 
@@ -34,7 +34,24 @@ const BROKER_PATH = path.join(process.env.NEF_CORE_ROOT,
 
 const ALLOWED_STATUSES = ['init', 'disabled', 'queued',
                           'starting', 'stopping', 'restarting',
-                          'offline', 'online'];
+                          'offline', 'online', 'maintenance'];
+
+// Default window (in seconds) for counting failures of restart policy
+const RESTART_WINDOW = 600;
+
+// Exit causes which were requested and never count as failures
+const REQUESTED_EXITS = ['manual', 'dependency', 'shutdown'];
+
+// Exit causes of restarts done by procman itself. They are requested, so
+// restart policy doesn't apply, but they still count as failures
+const PROCMAN_EXITS = ['memleak', 'heartbeat', 'startupTimeout'];
+
+// Default time (in seconds) to wait for pending requests on graceful stop
+const DRAIN_TIMEOUT = 10;
+
+// Defaults for restart history, can be overriden in worker meta
+const RESTART_HISTORY_SIZE = 20;
+const STDERR_TAIL_LINES = 20;
 
 /**
  * Basic class that incapsulates all logic to
@@ -57,6 +74,8 @@ class ChildProcess extends EventEmitter {
         this.exitRetcode = undefined;
         this.exitSignal = undefined;
         this.startupTimeout = undefined;
+        this.stopCause = undefined;
+        this.stderrTail = [];
 
         this.respawnTimer = new ReplaceableTimer();
         this.startupTimer = new ReplaceableTimer();
@@ -144,6 +163,8 @@ class ChildProcess extends EventEmitter {
         this.exitReason = undefined;
         this.exitRetcode = undefined;
         this.exitSignal = undefined;
+        this.stopCause = undefined;
+        this.stderrTail = [];
 
         this.newSpawn();
 
@@ -151,6 +172,10 @@ class ChildProcess extends EventEmitter {
             this.startupTimer.set(() => {
                 logger.warn(__('%s starts too long, stopping',
                                this.name));
+                this.stopCause = {
+                    type: 'startupTimeout',
+                    description: __('Startup timeout')
+                };
                 this.stop();
             }, this.startupTimeout);
         }
@@ -178,6 +203,13 @@ class ChildProcess extends EventEmitter {
         });
 
         lines.forEach((l) => this.forwardLine(type, l));
+
+        // keep the last lines of stderr for restart history
+        if (type === 'stderr') {
+            var size = (this.meta && this.meta.stderrTailLines) ||
+                       STDERR_TAIL_LINES;
+            this.stderrTail = this.stderrTail.concat(lines).slice(-size);
+        }
     }
 
     /**
@@ -242,12 +274,21 @@ class ChildProcess extends EventEmitter {
         }, delay || 0);
     }
 
+    /*
+     * Delay grows exponentially with number of unsuccesful starts:
+     * restartBackoffInitial * restartBackoffFactor ^ (n - 1) seconds, up to
+     * restartBackoffMax (by default 2 ^ (respawnCount - 1) seconds).
+     */
     failSpawn() {
         this.respawnTimer.clear();
 
         if (this.respawnId > 1) {
-            var power = Math.min(this.respawnId, this.meta.respawnCount);
-            var delay = Math.pow(2, power - 1);
+            var initial = this.meta.restartBackoffInitial || 1;
+            var factor = this.meta.restartBackoffFactor || 2;
+            var max = this.meta.restartBackoffMax ||
+                      Math.pow(2, this.meta.respawnCount - 1);
+            var delay = Math.min(max, initial *
+                                 Math.pow(factor, this.respawnId - 1));
 
             this.respawnDelayTo = Date.now() + delay * 1000;
             logger.warn(__('Delaying restart of %s by %d seconds',
@@ -285,12 +326,21 @@ class WorkerChild extends ChildProcess {
         this.status = 'init';
         this.statDescr = 'Initialization';
         this.stored = new procDb.StoredWorkerData(this);
+        this.history = [];
+        this.failureTimes = [];
+        this.gracefulStop = false;
+        this.timeline = {};
+        this.problems = [];
     }
 
     init(done) {
         async.series([
             (next) => this.loadMetaInfo(next),
             (next) => this.stored.load(next),
+            (next) => {
+                this.history = this.stored.data.history || [];
+                next();
+            }
         ], done);
     }
 
@@ -365,6 +415,14 @@ class WorkerChild extends ChildProcess {
         return this.stored.data && this.stored.data.pauseOnStart || false;
     }
 
+    /*
+     * First problem of worker meta which doesn't allow to start
+     * the worker, set by procman after scan
+     */
+    get blockingProblem() {
+        return this.problems.find((problem) => problem.severity === 'error');
+    }
+
     /*
      * All workers that are required by this one. It doesn't
      * include recusive dependency
@@ -435,6 +493,7 @@ class WorkerChild extends ChildProcess {
             heartbeatDisabled: this.heartbeatDisabled,
             debug: this.debug,
             pauseOnStart: this.pauseOnStart,
+            problems: this.problems,
         };
     }
 
@@ -446,6 +505,7 @@ class WorkerChild extends ChildProcess {
                                 `${this.status} => ${status}`);
             this.status = status;
             this.statusDescr = undefined;
+            this.recordTimeline(status);
         }
 
         if (descr) {
@@ -467,6 +527,24 @@ class WorkerChild extends ChildProcess {
         return list.indexOf(this.status) > -1;
     }
 
+    /**
+     * Remember when the worker was queued, spawned and came online
+     * first time during NEF startup
+     */
+    recordTimeline(status) {
+        var key = {
+            queued: 'queuedTime',
+            starting: 'spawnTime',
+            online: 'onlineTime'
+        }[status];
+
+        if (!key || this.timeline[key] ||
+            ['init', 'starting'].indexOf(this.procman.state) === -1) {
+            return;
+        }
+        this.timeline[key] = new Date().toISOString();
+    }
+
     enable(opts, done) {
         done = done || this.errorLogger('Failed to enable %s: %s');
         this.toggleEnabled(true, opts, done);
@@ -529,9 +607,13 @@ class WorkerChild extends ChildProcess {
             return done();
         }
 
+        var graceful = this.gracefulStop;
+        this.gracefulStop = false;
+
         this.setStatus('stopping', __('Stopping worker'));
 
         async.series([
+            (next) => graceful ? this.drain(next) : next(),
             (next) => this.dumpCore(next),
             (next) => super.stop(next),
         ], (err) => {
@@ -550,6 +632,11 @@ class WorkerChild extends ChildProcess {
             return done(NefError('EFAILED', 'Worker is disabled'));
         }
 
+        if (this.status === 'maintenance') {
+            return done(NefError('EFAILED', __('Worker %s is in maintenance, ' +
+                                               'clear it first', this.name)));
+        }
+
         opts = opts || {};
         if (opts.logChange) {
             logger.info(__('Restart %s: %s', this.name,
@@ -557,11 +644,44 @@ class WorkerChild extends ChildProcess {
         }
 
         this.collectCore = opts.collectCore;
+        this.gracefulStop = !!opts.graceful;
+        this.stopCause = {
+            type: opts.reason || 'manual',
+            description: opts.cause
+        };
         this.clearSpawns();
         this.setStatus('restarting', opts.cause);
         done();
     }
 
+    /*
+     * Ask broker to stop routing new requests to the worker and wait for
+     * replies to pending requests (at most meta.drainTimeout seconds).
+     * Stopping continues even if draining fails.
+     */
+    drain(done) {
+        var timeout = this.meta.drainTimeout || DRAIN_TIMEOUT;
+
+        this.setStatus('stopping', __('Waiting for pending requests'));
+
+        interop.call('broker', 'drainWorker', {
+            name: this.name,
+            timeout: timeout
+        }, (err, res) => {
+            if (err) {
+                logger.warn(__('Failed to drain %s: %s', this.name, err));
+            } else if (!res.drained) {
+                logger.warn(__('%(name)s still has %(count)d pending ' +
+                               'requests after %(timeout)d seconds', {
+                                   name: this.name,
+                                   count: res.pending,
+                                   timeout: timeout
+                               }));
+            }
+            done();
+        });
+    }
+
     dumpCore(done) {
         if (!this.collectCore) {
             return done();
@@ -593,11 +713,68 @@ class WorkerChild extends ChildProcess {
 
     clear(opts, done) {
         done = done || this.errorLogger('Failed to clear %s: %s');
+        this.failureTimes = [];
         this.clearSpawns();
+
+        // let supervisor start the worker again
+        if (this.status === 'maintenance') {
+            this.setStatus('offline', __('Maintenance cleared'));
+        }
         done();
     }
 
+    /*
+     * Restart policy from meta decides whether the exited worker can be
+     * restarted. Policy is one of:
+     *   always     - restart after any exit (default)
+     *   on-failure - restart unless the worker exited with zero code
+     *   never      - don't restart unless restart was requested
+     * and in addition at most restartMaxRetries failures are tolerated
+     * within restartWindow seconds. Restarts done by procman (memleak,
+     * heartbeat, startup timeout) are not subject to the policy, but
+     * count towards restartMaxRetries.
+     *
+     * Returns description why the worker must not be restarted, if so.
+     */
+    checkRestartPolicy(cause) {
+        var policy = this.meta.restartPolicy || 'always';
+        var maxRetries = this.meta.restartMaxRetries;
+        var window = (this.meta.restartWindow || RESTART_WINDOW) * 1000;
+        var now = Date.now();
+
+        if (!this.enabled || REQUESTED_EXITS.indexOf(cause.type) > -1) {
+            return;
+        }
+
+        if (policy === 'never' && PROCMAN_EXITS.indexOf(cause.type) === -1) {
+            return __('%s, restart policy is "never"', this.exitReason);
+        }
+        if (policy === 'on-failure' && cause.type === 'exit') {
+            return __('%s, restart policy is "on-failure"', this.exitReason);
+        }
+
+        if (maxRetries === undefined) {
+            return;
+        }
+
+        this.failureTimes = this.failureTimes.filter((t) => {
+            return t > now - window;
+        }).concat([now]);
+
+        if (this.failureTimes.length > maxRetries) {
+            return __('Failed %(count)d times within %(window)d seconds, ' +
+                      'last: %(reason)s', {
+                          count: this.failureTimes.length,
+                          window: window / 1000,
+                          reason: this.exitReason
+                      });
+        }
+    }
+
     onExit(code, signal) {
+        var cause = this.exitCause(code, signal);
+
+        this.recordExit(code, signal, cause);
         this.emit('workerStopped', {
             name: this.name,
             debug: this.debug,
@@ -609,16 +786,29 @@ class WorkerChild extends ChildProcess {
         });
 
         super.onExit(code, signal);
-        this.setStatus('offline', this.exitReason);
+
+        var maintenance = this.checkRestartPolicy(cause);
+        if (maintenance) {
+            logger.error(__('Worker %s goes to maintenance: %s', this.name,
+                            maintenance));
+            // no more respawns till the worker is cleared
+            this.respawnTimer.clear();
+            this.respawnDelayTo = undefined;
+            this.setStatus('maintenance', maintenance);
+        } else {
+            this.setStatus('offline', this.exitReason);
+        }
     }
 
     onOnline() {
         this.setStatus('online', 'Running');
+        this.recordOnline();
         super.onOnline();
     }
 
     spawn() {
         super.spawn();
+        this.recordStart();
 
         this.emit('workerStarted', {
             name: this.name,
@@ -631,6 +821,86 @@ class WorkerChild extends ChildProcess {
         });
     }
 
+    /*
+     * Restart history. Each spawn of the worker process creates an entry
+     * which is completed when the process comes online and when it exits.
+     * Number of entries is limited, the oldest entries are dropped.
+     */
+    get lastHistoryEntry() {
+        return this.history[this.history.length - 1];
+    }
+
+    recordStart() {
+        var size = this.meta.restartHistorySize || RESTART_HISTORY_SIZE;
+
+        this.history = this.history.concat([{
+            respawnId: this.respawnId,
+            pid: this.pid || 0,
+            startTime: new Date().toISOString()
+        }]).slice(-size);
+        this.saveHistory();
+    }
+
+    recordOnline() {
+        var entry = this.lastHistoryEntry;
+
+        if (entry && !entry.onlineTime && !entry.exitTime) {
+            entry.onlineTime = new Date().toISOString();
+            this.saveHistory();
+        }
+    }
+
+    /*
+     * Cause of exit is either set by the code which stopped the worker
+     * or the worker exited on its own.
+     */
+    exitCause(code, signal) {
+        if (this.stopCause) {
+            return this.stopCause;
+        }
+        if (this.procman.state === 'stopping') {
+            return {
+                type: 'shutdown',
+                description: __('Shutdown of %s', config.procmanAppIdent)
+            };
+        }
+        return {
+            type: (code || signal) ? 'crash' : 'exit'
+        };
+    }
+
+    recordExit(code, signal, cause) {
+        var entry = this.lastHistoryEntry;
+
+        this.stopCause = undefined;
+        if (!entry || entry.exitTime) {
+            return;
+        }
+
+        entry.exitTime = new Date().toISOString();
+        entry.exitCode = code || 0;
+        if (signal) {
+            entry.signal = signal;
+        }
+        entry.cause = cause.type;
+        if (cause.description) {
+            entry.causeDescription = cause.description;
+        }
+        entry.stderr = this.stderrTail;
+        this.saveHistory();
+    }
+
+    saveHistory() {
+        // broker has no stored data
+        if (!this.stored.data) {
+            return;
+        }
+
+        this.stored.update({
+            history: this.history
+        }, this.errorLogger('Failed to save restart history of %s: %s'));
+    }
+
     /**
      * Meta info. Each worker should have own meta info, kind of
      * static config that could be defined in worker.json in worker's tree
@@ -731,6 +1001,18 @@ class WorkerChild extends ChildProcess {
             logger.info(msg);
         }
 
+        if (!enabled && this.enabled && this.running) {
+            this.stopCause = {
+                type: opts.reason || 'manual',
+                description: opts.cause
+            };
+            this.gracefulStop = !!opts.graceful;
+        }
+
+        if (enabled && !this.enabled) {
+            this.failureTimes = [];
+        }
+
         this.enabled = enabled;
         this.enabledCause = opts.cause || undefined;
         this.clearSpawns();
@@ -748,7 +1030,8 @@ class WorkerChild extends ChildProcess {
             this.dependentWorkers.forEach((worker) => {
                 var newOpts = nefUtils.shallowExtend({}, opts, {
                     cause: __('Required dependency %s has been disabled',
-                              this.name)
+                              this.name),
+                    reason: 'dependency'
                 });
                 worker.disable(newOpts);
             });
@@ -811,6 +1094,10 @@ class WorkerChild extends ChildProcess {
                     //       do ssh forwarding
                     this.child.kill('SIGUSR1');
                 } else {
+                    this.stopCause = {
+                        type: 'manual',
+                        description: __('Debug disabled')
+                    };
                     this.stop();
                 }
                 next();
@@ -1005,7 +1292,11 @@ class BrokerChild extends UnkillableChild {
                 enabled: worker.enabled,
                 online: worker.online,
                 heartbeatDisabled: worker.heartbeatDisabled,
-                livenessCounter: worker.meta.livenessCounter
+                livenessCounter: worker.meta.livenessCounter,
+                requestTimeout: worker.meta.requestTimeout,
+                maxConcurrency: worker.meta.maxConcurrency,
+                maxQueueLength: worker.meta.maxQueueLength,
+                fairQueueing: worker.meta.fairQueueing
             });
         });
 
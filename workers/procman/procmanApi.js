@@ -5,6 +5,8 @@
 'use strict'
 
 var async = require('async');
+var path = require('path');
+var fse = require('fs-extra');
 
 var worker = require('nef/baseWorker');
 var events = require('nef/events');
@@ -77,6 +79,12 @@ events.declare('NEF_procman_start_complete', {
     }
 });
 
+events.declare('NEF_procman_memory_growth', {
+    description: 'Memory usage of a worker keeps growing',
+    range: 'joint',
+    payload: schemas.memoryGrowthEvent
+});
+
 /* Procman API methods */
 
 var finder = new Finder({
@@ -89,6 +97,10 @@ var finder = new Finder({
         includeStats: {
             description: 'Include broker statistics',
             type: 'boolean'
+        },
+        includeHistory: {
+            description: 'Include restart history',
+            type: 'boolean'
         }
     },
     getAll: function(context, done) {
@@ -98,6 +110,15 @@ var finder = new Finder({
         done(undefined, res);
     },
     afterPaginate: function(context, result, done) {
+        if (context.includeHistory) {
+            for (var data of result) {
+                var worker = procman.workers.get(data.name);
+                if (worker) {
+                    data.history = worker.history;
+                }
+            }
+        }
+
         async.parallel({
             updateUsage: (next) => {
                 if (!context.includeUsage) {
@@ -183,6 +204,12 @@ worker.apiMethod('disableWorker', {
             description: 'Name of the worker',
             type: 'string',
             required: true
+        },
+        graceful: {
+            description: 'Wait for replies to pending requests before ' +
+                         'stopping the process, new requests are rejected',
+            type: 'boolean',
+            default: false
         }
     },
     output: schemaUtils.common.nullOutput,
@@ -191,6 +218,8 @@ worker.apiMethod('disableWorker', {
     procman.workers.with(args.name, (worker, next) => {
         worker.disable({
             cause: __('Disabled by API call'),
+            reason: 'manual',
+            graceful: args.graceful,
             disableDependent: true,
             logChange: true,
             store: true,
@@ -206,6 +235,12 @@ worker.apiMethod('restartWorker', {
             description: 'Name of the worker',
             type: 'string',
             required: true
+        },
+        graceful: {
+            description: 'Wait for replies to pending requests before ' +
+                         'stopping the process, new requests are rejected',
+            type: 'boolean',
+            default: false
         }
     },
     output: schemaUtils.common.nullOutput,
@@ -214,6 +249,8 @@ worker.apiMethod('restartWorker', {
     procman.workers.with(args.name, (worker, next) => {
         worker.restart({
             cause: 'Restarted by API call',
+            reason: 'manual',
+            graceful: args.graceful,
             logChange: true
         }, next);
     },  (err) => callback(err));
@@ -224,7 +261,9 @@ worker.apiMethod('clearWorker', {
         'Clear cooldown of the specified process and start delayed process ' +
         'immediately. Cooldown is a special state of a worker. If a process ' +
         'restarts too fast procman will stop restarting the process and ' +
-        'give the process some time to cool down and then start it again.',
+        'give the process some time to cool down and then start it again. ' +
+        'It also brings the process out of maintenance status, where it ' +
+        'gets when restart policy of the worker doesn\'t allow to restart it.',
     input: {
         name: {
             description: 'Name of the worker',
@@ -240,6 +279,133 @@ worker.apiMethod('clearWorker', {
     }, (err) => callback(err));
 });
 
+worker.apiMethod('getWorkerHistory', {
+    description:
+        'Get restart history of the specified process. Each entry describes ' +
+        'one run of the process: when it was started, when it came online, ' +
+        'why and how it exited and the last lines of its stderr output.',
+    input: {
+        name: {
+            description: 'Name of the worker',
+            type: 'string',
+            required: true
+        },
+        limit: {
+            description: 'Return only given number of the latest entries',
+            type: 'integer',
+            minimum: 1
+        }
+    },
+    output: {
+        type: 'array',
+        items: schemas.historyEntry
+    }
+}, function(args, callback) {
+    var worker = procman.workers.get(args.name);
+
+    if (!worker) {
+        return callback(NefError('ENOENT', __('Unknown worker name: %s',
+                                             args.name)));
+    }
+
+    var history = worker.history;
+    if (args.limit) {
+        history = history.slice(-args.limit);
+    }
+    callback(undefined, history);
+});
+
+worker.apiMethod('getDependencyGraph', {
+    description:
+        'Get dependency graph of workers built from require, after and ' +
+        'before lists of worker meta, including tag:<tag> entries. ' +
+        'Also reports dependency cycles and entries which don\'t match ' +
+        'any worker.',
+    input: schemaUtils.common.nullInput,
+    output: schemas.dependencyGraph
+}, function(args, callback) {
+    callback(undefined, procman.workers.getGraph());
+});
+
+worker.apiMethod('getStartupTimeline', {
+    description:
+        'Get timeline of NEF startup: when each enabled worker was queued, ' +
+        'spawned and came online, and the chain of dependencies which ' +
+        'determined total startup time.',
+    input: schemaUtils.common.nullInput,
+    output: schemas.startupTimeline
+}, function(args, callback) {
+    callback(undefined, procman.getStartupTimeline());
+});
+
+worker.apiMethod('startRecording', {
+    description:
+        'Start recording of requests to the specified workers and their ' +
+        'replies in the broker. Records are written to a capture file in ' +
+        'NEF var directory, one JSON object per line. Recording stops ' +
+        'automatically when the file reaches size limit. The capture file ' +
+        'can be replayed against a worker with procman/tools/replay.py.',
+    input: {
+        workers: {
+            description: 'Names of workers to record, all workers are ' +
+                         'recorded if empty',
+            type: 'array',
+            items: {
+                type: 'string'
+            },
+            default: []
+        },
+        maxSize: {
+            description: 'Size limit of the capture file in bytes',
+            type: 'integer',
+            minimum: 1024,
+            maximum: 1024 * 1024 * 1024,
+            default: 10 * 1024 * 1024
+        }
+    },
+    output: schemas.recordingStatus
+}, function(args, callback) {
+    var unknown = args.workers.filter((name) => !procman.workers.get(name));
+    if (unknown.length > 0) {
+        return callback(NefError('ENOENT', __('Unknown worker name: %s',
+                                             unknown.join(', '))));
+    }
+
+    var dir = path.join(process.env.NEF_VAR, 'capture');
+    var file = path.join(dir, 'capture-' +
+                         (new Date()).toISOString().replace(/:/g, '') +
+                         '.jsonl');
+
+    fse.ensureDir(dir, 0o700, (err) => {
+        if (err) {
+            return callback(err);
+        }
+
+        interop.call('broker', 'startRecording', {
+            file: file,
+            workers: args.workers,
+            maxSize: args.maxSize
+        }, callback);
+    });
+});
+
+worker.apiMethod('stopRecording', {
+    description: 'Stop recording of requests and replies in the broker',
+    input: schemaUtils.common.nullInput,
+    output: schemas.recordingStatus
+}, function(args, callback) {
+    interop.call('broker', 'stopRecording', {}, callback);
+});
+
+worker.apiMethod('getRecordingStatus', {
+    description: 'Get state of recording of requests and replies ' +
+                 'in the broker',
+    input: schemaUtils.common.nullInput,
+    output: schemas.recordingStatus
+}, function(args, callback) {
+    interop.call('broker', 'getRecordingStatus', {}, callback);
+});
+
 worker.apiMethod('enableDebug', {
     description:
         'Launch debugger for the specified worker. This method allows to ' +
@@ -354,6 +520,29 @@ worker.apiMethod('getStatus', {
     callback(undefined, procman.getStatus());
 });
 
+worker.apiMethod('getMemoryHistory', {
+    description:
+        'Get recent memory usage samples of the specified process, taken ' +
+        'by memory leak guard, and the growth trend computed from them.',
+    input: {
+        name: {
+            description: 'Name of the worker',
+            type: 'string',
+            required: true
+        }
+    },
+    output: schemas.memoryHistory
+}, function(args, callback) {
+    var worker = procman.workers.get(args.name);
+
+    if (!worker) {
+        return callback(NefError('ENOENT', __('Unknown worker name: %s',
+                                             args.name)));
+    }
+
+    callback(undefined, procman.memleakGuard.getHistory(worker));
+});
+
 worker.apiMethod('rescheduleGuards', {
     description: 'Change guards schedule timer',
     input: {
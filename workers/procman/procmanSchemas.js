@@ -97,6 +97,132 @@ var types = {
     }
 };
 
+types.problem = {
+    description: 'Problem found in meta of the worker',
+    type: 'object',
+    properties: {
+        type: {
+            description: 'Kind of the problem',
+            type: 'string',
+            enum: ['cycle', 'contradiction', 'unknownDependency']
+        },
+        severity: {
+            description: 'Worker with error is not started, ' +
+                         'warning is only reported',
+            type: 'string',
+            enum: ['error', 'warning']
+        },
+        workers: {
+            description: 'Other workers or tags involved',
+            type: 'array',
+            items: {
+                type: 'string'
+            }
+        },
+        description: schemaUtils.l10nStringType({
+            description: 'Human readable description of the problem',
+        })
+    }
+};
+
+types.methodStats = {
+    description: 'Statistics of calls of one API method',
+    type: 'object',
+    properties: {
+        calls: {
+            description: 'Total number of calls',
+            type: 'integer'
+        },
+        errors: {
+            description: 'Total number of calls which failed',
+            type: 'integer'
+        },
+        errorsByCode: {
+            description: 'Number of failed calls by error code',
+            type: 'object',
+            additionalProperties: {
+                type: 'integer'
+            }
+        },
+        inFlight: {
+            description: 'Number of calls waiting for reply',
+            type: 'integer'
+        },
+        samples: {
+            description: 'Number of calls in the latency window',
+            type: 'integer'
+        },
+        p50: {
+            description: 'Median latency in milliseconds',
+            type: 'integer'
+        },
+        p95: {
+            description: '95th percentile of latency in milliseconds',
+            type: 'integer'
+        },
+        p99: {
+            description: '99th percentile of latency in milliseconds',
+            type: 'integer'
+        }
+    }
+};
+
+types.historyEntry = {
+    description: 'One run of worker process',
+    type: 'object',
+    properties: {
+        respawnId: types.respawnId,
+        pid: types.pid,
+        startTime: {
+            description: 'Time when the process was spawned',
+            type: 'string',
+            format: 'date-time',
+            required: true
+        },
+        onlineTime: {
+            description: 'Time when the process connected to the broker',
+            type: 'string',
+            format: 'date-time'
+        },
+        exitTime: {
+            description: 'Time when the process exited',
+            type: 'string',
+            format: 'date-time'
+        },
+        exitCode: {
+            description: 'Exit code of the process',
+            type: 'integer'
+        },
+        signal: {
+            description: 'Signal which killed the process',
+            type: 'string'
+        },
+        cause: {
+            description: 'Why the process exited',
+            type: 'string',
+            enum: ['manual', 'heartbeat', 'memleak', 'dependency',
+                   'startupTimeout', 'shutdown', 'crash', 'exit']
+        },
+        causeDescription: schemaUtils.l10nStringType({
+            description: 'Human readable description of the cause',
+        }),
+        stderr: {
+            description: 'Last lines written by the process to stderr',
+            type: 'array',
+            items: {
+                type: 'string'
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+types.history = {
+    description: 'Restart history of the worker, the oldest entry first',
+    type: 'array',
+    items: types.historyEntry
+};
+
 /*
  * JSON meta file. Similar to worker schema below except that all properties
  * are optional to allow user to override only those properties which are
@@ -108,7 +234,86 @@ schemas.workerMeta = {
     properties: {
         name: types.name,
         path: types.path,
-        args: types.args
+        args: types.args,
+        restartPolicy: {
+            description: 'When the worker should be restarted after exit',
+            type: 'string',
+            enum: ['never', 'on-failure', 'always']
+        },
+        restartMaxRetries: {
+            description: 'Max number of failures within restartWindow ' +
+                         'before the worker goes to maintenance',
+            type: 'integer',
+            minimum: 0
+        },
+        restartWindow: {
+            description: 'Time window for counting failures in seconds',
+            type: 'integer',
+            minimum: 1
+        },
+        restartBackoffInitial: {
+            description: 'Delay of the first delayed restart in seconds',
+            type: 'number',
+            minimum: 0
+        },
+        restartBackoffFactor: {
+            description: 'Multiplier of delay for each next restart',
+            type: 'number',
+            minimum: 1
+        },
+        restartBackoffMax: {
+            description: 'Max delay of restart in seconds',
+            type: 'number',
+            minimum: 0
+        },
+        drainTimeout: {
+            description: 'Max time in seconds to wait for pending requests ' +
+                         'when the worker is stopped gracefully',
+            type: 'integer',
+            minimum: 1
+        },
+        requestTimeout: {
+            description: 'Time in seconds the broker waits for reply to ' +
+                         'a request before failing it with ETIMEDOUT, ' +
+                         'clients may override it per request. Requests ' +
+                         'have no deadline if not set',
+            type: 'integer',
+            minimum: 1
+        },
+        maxConcurrency: {
+            description: 'Max number of requests processed by the worker ' +
+                         'at once, the rest is queued by the broker',
+            type: 'integer',
+            minimum: 1
+        },
+        maxQueueLength: {
+            description: 'Max number of queued requests, new requests are ' +
+                         'rejected with EBUSY when the queue is full',
+            type: 'integer',
+            minimum: 0
+        },
+        fairQueueing: {
+            description: 'Serve queued requests of different clients ' +
+                         'in round-robin order',
+            type: 'boolean'
+        },
+        memleakGuardWindow: {
+            description: 'Number of memory samples used to detect ' +
+                         'memory growth',
+            type: 'integer',
+            minimum: 10
+        },
+        memleakGuardGrowthLimit: {
+            description: 'Memory growth in MB per hour which is reported ' +
+                         'as possible leak if it is sustained',
+            type: 'number',
+            minimum: 0
+        },
+        memleakGuardTrendRestart: {
+            description: 'Restart the worker when it has no requests in ' +
+                         'progress if its memory keeps growing',
+            type: 'boolean'
+        }
     }
 };
 
@@ -129,7 +334,8 @@ schemas.workerStoredData = {
         enabled: types.enabled,
         debug: types.debug,
         pauseOnStart: types.pauseOnStart,
-        heartbeatDisabled: types.heartbeatDisabled
+        heartbeatDisabled: types.heartbeatDisabled,
+        history: types.history
     },
     additionalProperties: false
 };
@@ -166,6 +372,11 @@ schemas.worker = {
         debug: types.debug,
         pauseOnStart: types.pauseOnStart,
         heartbeatDisabled: types.heartbeatDisabled,
+        problems: {
+            description: 'Problems found in worker meta at load time',
+            type: 'array',
+            items: types.problem
+        },
 
         // Additional info for includeProcInfo: true
         cpu: {
@@ -179,6 +390,9 @@ schemas.worker = {
             minimum: 0
         },
 
+        // Additional info for includeHistory: true
+        history: types.history,
+
         // Additional info for includeStats: true
         stats: {
             description: 'Worker API calls statistics',
@@ -213,6 +427,49 @@ schemas.worker = {
                                  'heartbeats exceeded liveness limit',
                     type: 'integer',
                 },
+                timeouts: {
+                    description: 'Number of requests failed because ' +
+                                 'the worker did not reply in time',
+                    type: 'integer',
+                },
+                lateReplies: {
+                    description: 'Number of replies dropped because they ' +
+                                 'came after the request timed out',
+                    type: 'integer',
+                },
+                pending: {
+                    description: 'Number of requests waiting for reply',
+                    type: 'integer',
+                },
+                queueDepth: {
+                    description: 'Number of requests waiting in queue for ' +
+                                 'a free slot of the worker',
+                    type: 'integer',
+                },
+                queuedRequests: {
+                    description: 'Total number of requests which had to ' +
+                                 'wait in queue',
+                    type: 'integer',
+                },
+                rejectedRequests: {
+                    description: 'Number of requests rejected with EBUSY ' +
+                                 'because the queue was full',
+                    type: 'integer',
+                },
+                queueWaitTime: {
+                    description: 'Total time in ms requests spent in queue',
+                    type: 'integer',
+                },
+                maxQueueWait: {
+                    description: 'Longest time in ms a request spent ' +
+                                 'in queue',
+                    type: 'integer',
+                },
+                methods: {
+                    description: 'Statistics of API methods of the worker',
+                    type: 'object',
+                    additionalProperties: types.methodStats
+                }
             }
         }
     },
@@ -255,4 +512,253 @@ schemas.workerStopEvent = {
     }
 };
 
+schemas.historyEntry = types.historyEntry;
+
+types.memoryTrend = {
+    description: 'Memory growth trend',
+    type: 'object',
+    properties: {
+        growthRate: {
+            description: 'Memory growth in MB per hour',
+            type: 'number'
+        },
+        fit: {
+            description: 'How well the samples fit linear growth, ' +
+                         'from 0 to 1',
+            type: 'number'
+        },
+        growing: {
+            description: 'Memory usage keeps growing faster than limit',
+            type: 'boolean'
+        },
+        triggerTime: {
+            description: 'Estimated time when memory usage reaches ' +
+                         'memleakGuardTrigger',
+            type: 'string',
+            format: 'date-time'
+        }
+    }
+};
+
+schemas.memoryHistory = {
+    description: 'Memory usage history of worker',
+    type: 'object',
+    properties: {
+        name: types.name,
+        pid: types.pid,
+        trigger: {
+            description: 'Memory usage in MB which causes restart',
+            type: 'integer'
+        },
+        samples: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    time: {
+                        type: 'string',
+                        format: 'date-time'
+                    },
+                    memory: {
+                        description: 'Memory usage in MB',
+                        type: 'integer'
+                    }
+                }
+            }
+        },
+        trend: types.memoryTrend
+    }
+};
+
+schemas.memoryGrowthEvent = {
+    type: 'object',
+    properties: {
+        name: types.name,
+        memory: {
+            description: 'Memory usage in MB',
+            type: 'integer'
+        },
+        growthRate: {
+            description: 'Memory growth in MB per hour',
+            type: 'number'
+        },
+        triggerTime: types.memoryTrend.properties.triggerTime
+    }
+};
+
+schemas.dependencyGraph = {
+    description: 'Dependency graph of workers',
+    type: 'object',
+    properties: {
+        nodes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: types.name,
+                    tags: types.tags,
+                    status: types.status,
+                    statusDescription: types.statusDescription,
+                    enabled: types.enabled,
+                    startIndex: {
+                        description: 'Position of the worker in start order',
+                        type: 'integer'
+                    }
+                }
+            }
+        },
+        edges: {
+            description: 'Edge from A to B means that A starts after B',
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    from: types.name,
+                    to: types.name,
+                    type: {
+                        description: 'Meta property which defines the edge',
+                        type: 'string',
+                        enum: ['require', 'after', 'before']
+                    },
+                    via: {
+                        description: 'Tag entry which resolved to the worker',
+                        type: 'string'
+                    }
+                }
+            }
+        },
+        cycles: {
+            description: 'Groups of workers which depend on each other',
+            type: 'array',
+            items: {
+                type: 'array',
+                items: types.name
+            }
+        },
+        unresolved: {
+            description: 'Entries of require/after/before lists which ' +
+                         'don\'t match any worker',
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    worker: types.name,
+                    type: {
+                        type: 'string',
+                        enum: ['require', 'after', 'before']
+                    },
+                    name: {
+                        description: 'Name of worker or tag:<tag>',
+                        type: 'string'
+                    }
+                }
+            }
+        }
+    }
+};
+
+schemas.startupTimeline = {
+    description: 'Timeline of NEF startup',
+    type: 'object',
+    properties: {
+        state: {
+            description: 'State of NEF service',
+            type: 'string'
+        },
+        startTime: {
+            description: 'Time when procman started to start workers',
+            type: 'string',
+            format: 'date-time'
+        },
+        startCompleteTime: {
+            description: 'Time when all enabled workers were started ' +
+                         'or failed',
+            type: 'string',
+            format: 'date-time'
+        },
+        duration: {
+            description: 'Total startup time in ms',
+            type: 'integer'
+        },
+        workers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: types.name,
+                    status: types.status,
+                    queuedTime: {
+                        description: 'Time when the worker was queued',
+                        type: 'string',
+                        format: 'date-time'
+                    },
+                    spawnTime: {
+                        description: 'Time when the worker was spawned',
+                        type: 'string',
+                        format: 'date-time'
+                    },
+                    onlineTime: {
+                        description: 'Time when the worker came online',
+                        type: 'string',
+                        format: 'date-time'
+                    },
+                    startupDuration: {
+                        description: 'Time in ms from spawn to online',
+                        type: 'integer'
+                    }
+                }
+            }
+        },
+        criticalPath: {
+            description: 'Chain of dependent workers which determined ' +
+                         'total startup time, in start order',
+            type: 'array',
+            items: types.name
+        }
+    }
+};
+
+schemas.recordingStatus = {
+    description: 'State of broker request/reply recording',
+    type: 'object',
+    properties: {
+        active: {
+            description: 'Recording is in progress',
+            type: 'boolean',
+            required: true
+        },
+        file: {
+            description: 'Path of the capture file',
+            type: 'string'
+        },
+        workers: {
+            description: 'Recorded workers, empty list means all workers',
+            type: 'array',
+            items: types.name
+        },
+        maxSize: {
+            description: 'Size limit of the capture file in bytes',
+            type: 'integer'
+        },
+        size: {
+            description: 'Number of bytes written to the capture file',
+            type: 'integer'
+        },
+        records: {
+            description: 'Number of records written to the capture file',
+            type: 'integer'
+        },
+        startTime: {
+            description: 'Time when recording started',
+            type: 'string',
+            format: 'date-time'
+        },
+        stopReason: {
+            description: 'Why the recording stopped',
+            type: 'string',
+            enum: ['stopped', 'sizeLimit', 'restarted', 'error', 'shutdown']
+        }
+    }
+};
+
 module.exports = schemas;
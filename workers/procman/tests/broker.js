@@ -2,6 +2,9 @@ var assert  = require('assert');
 var Client  = require('nef/client');
 var async   = require('async');
 var interop = require('nef/interop');
+var fs      = require('fs');
+var workerRep = require('../broker/workerRep');
+var Recorder = require('../broker/recorder');
 
 describe('broker', function() {
     var client;
@@ -64,4 +67,285 @@ describe('broker', function() {
             });
         });
     });
+
+    describe('WorkerRep', function() {
+        var rep;
+
+        // fake client request, replies are collected instead of sent
+        function clientReq(method, opts) {
+            opts = opts || {};
+            return {
+                id: opts.client || 'client',
+                method: method,
+                inputData: [JSON.stringify({method: method})],
+                timeout: opts.timeout,
+                replies: [],
+                errorReply: function(code) {
+                    this.replies.push({code: code});
+                },
+                sendReply: function(data) {
+                    this.replies.push({data: data});
+                },
+                goodReply: function(data) {
+                    this.replies.push({data: data});
+                }
+            };
+        }
+
+        function reply(rid) {
+            rep.routeReply({
+                replyId: rid,
+                replyData: JSON.stringify({method: 'm', data: 'ok'})
+            });
+        }
+
+        beforeEach(function() {
+            rep = new workerRep.WorkerRep('test');
+        });
+
+        afterEach(function() {
+            rep.popAllPendingReq();
+        });
+
+        it('should not set deadline by default', function() {
+            var req = clientReq('m');
+            var rid = rep.routeApiCall(req);
+
+            assert.strictEqual(req.deadlineTimer, undefined);
+            reply(rid);
+            assert.equal(req.replies.length, 1);
+            assert.equal(JSON.parse(req.replies[0].data).data, 'ok');
+        });
+
+        it('should fail request after requestTimeout of worker',
+                function(done) {
+            var req = clientReq('m');
+
+            this.timeout(5000);
+            rep.updateData({requestTimeout: 1});
+            rep.routeApiCall(req);
+
+            setTimeout(() => {
+                assert.deepEqual(req.replies, []);
+                setTimeout(() => {
+                    assert.deepEqual(req.replies, [{code: 'ETIMEDOUT'}]);
+                    assert.equal(rep.stats.timeouts, 1);
+                    assert.equal(rep.pendingCount, 0);
+                    done();
+                }, 600);
+            }, 800);
+        });
+
+        it('should drop late reply', function(done) {
+            var req = clientReq('m', {timeout: 50});
+            var rid = rep.routeApiCall(req);
+
+            setTimeout(() => {
+                reply(rid);
+                assert.deepEqual(req.replies, [{code: 'ETIMEDOUT'}]);
+                assert.equal(rep.stats.lateReplies, 1);
+                assert.equal(rep.stats.protocolErrors, 0);
+                done();
+            }, 100);
+        });
+
+        it('should prefer timeout of client request', function(done) {
+            var short = clientReq('m', {timeout: 50});
+            var long = clientReq('m');
+
+            rep.updateData({requestTimeout: 600});
+            rep.routeApiCall(short);
+            var rid = rep.routeApiCall(long);
+
+            setTimeout(() => {
+                assert.deepEqual(short.replies, [{code: 'ETIMEDOUT'}]);
+                assert.deepEqual(long.replies, []);
+                reply(rid);
+                assert.equal(long.replies.length, 1);
+                done();
+            }, 100);
+        });
+
+        it('should queue requests over maxConcurrency', function() {
+            var reqs = [1, 2, 3].map(() => clientReq('m'));
+
+            rep.updateData({maxConcurrency: 2});
+            var rids = reqs.map((req) => rep.routeApiCall(req));
+
+            assert.equal(rep.inFlightCount, 2);
+            assert.equal(rep.queue.length, 1);
+            assert.strictEqual(rids[2], undefined);
+            assert.equal(rep.stats.queuedRequests, 1);
+
+            // free slot is taken by the queued request
+            reply(rids[0]);
+            assert.equal(reqs[0].replies.length, 1);
+            assert.equal(rep.inFlightCount, 2);
+            assert.equal(rep.queue.length, 0);
+            assert.deepEqual(reqs[2].replies, []);
+        });
+
+        it('should reject request if queue is full', function() {
+            var reqs = [1, 2, 3].map(() => clientReq('m'));
+
+            rep.updateData({maxConcurrency: 1, maxQueueLength: 1});
+            reqs.forEach((req) => rep.routeApiCall(req));
+
+            assert.equal(rep.pendingCount, 2);
+            assert.deepEqual(reqs[1].replies, []);
+            assert.deepEqual(reqs[2].replies, [{code: 'EBUSY'}]);
+            assert.equal(rep.stats.rejectedRequests, 1);
+        });
+
+        it('should serve clients in round-robin with fair queueing',
+                function() {
+            var order = [];
+            var first = clientReq('m', {client: 'a'});
+            var queued = ['a', 'a', 'a', 'b', 'b'].map((client) => {
+                return clientReq('m', {client: client});
+            });
+
+            rep.updateData({maxConcurrency: 1, fairQueueing: true});
+            rep.sendRequest = (rid) => {
+                order.push(rid);
+            };
+
+            var rid = rep.routeApiCall(first);
+            var clients = {};
+            rep.on('request', (rid, data, req) => {
+                clients[rid] = req.id;
+            });
+            queued.forEach((req) => rep.routeApiCall(req));
+
+            while (rep.inFlightCount > 0) {
+                reply(rid);
+                rid = order[order.length - 1];
+            }
+
+            assert.deepEqual(order.slice(1).map((rid) => clients[rid]),
+                             ['a', 'b', 'a', 'b', 'a']);
+        });
+
+        it('should use unique rids for calls of broker itself', function() {
+            var broker = new workerRep.BrokerWorkerRep({});
+            var requests = [];
+            var replies = [];
+
+            broker.on('request', (rid) => requests.push(rid));
+            broker.on('reply', (rid) => replies.push(rid));
+            [1, 2].forEach(() => {
+                var req = clientReq('ping');
+
+                req.input = {method: 'ping', args: {}};
+                req.formatReply = (err, data) => JSON.stringify({data: data});
+                broker.routeApiCall(req);
+            });
+
+            assert.equal(requests.length, 2);
+            assert.notEqual(requests[0], requests[1]);
+            assert.notEqual(requests[0], '-');
+            assert.deepEqual(replies, requests);
+        });
+
+        it('should expire request in queue without dispatching it',
+                function(done) {
+            var running = clientReq('m');
+            var queued = clientReq('m', {timeout: 50});
+            var sent = 0;
+
+            rep.updateData({maxConcurrency: 1});
+            rep.on('request', () => {
+                sent += 1;
+            });
+            var rid = rep.routeApiCall(running);
+            rep.routeApiCall(queued);
+
+            setTimeout(() => {
+                assert.deepEqual(queued.replies, [{code: 'ETIMEDOUT'}]);
+                assert.equal(rep.queue.length, 0);
+                assert.equal(rep.stats.timeouts, 1);
+
+                reply(rid);
+                assert.equal(running.replies.length, 1);
+                assert.equal(sent, 1);
+                assert.equal(rep.pendingCount, 0);
+                done();
+            }, 100);
+        });
+    });
+
+    describe('Recorder', function() {
+        var file = '/tmp/nef-broker-recorder-test.' + process.pid;
+
+        afterEach(function(done) {
+            fs.unlink(file, () => done());
+        });
+
+        // record given payloads and return parsed records
+        function recordPayloads(worker, payloads, done) {
+            var recorder = new Recorder();
+
+            recorder.start({
+                file: file,
+                maxSize: 100000
+            }, (err) => {
+                assert.ifError(err);
+                payloads.forEach((payload, i) => {
+                    recorder.record('request', worker, i, [payload], {
+                        method: 'm'
+                    });
+                });
+                recorder.stop('stopped', () => {
+                    var data = fs.readFileSync(file, 'utf8');
+
+                    done(data.split('\n').filter((line) => line)
+                             .map((line) => JSON.parse(line)));
+                });
+            });
+        }
+
+        it('should mask property values set through sysconfig',
+                function(done) {
+            recordPayloads('sysconfig', [
+                JSON.stringify({
+                    method: 'setProperty',
+                    args: {id: 'smtp.password', value: 'plainSecret'}
+                }),
+                JSON.stringify({
+                    method: 'bulkSetProperties',
+                    args: {pairs: {'smtp.password': 'plainSecret'}}
+                })
+            ], (records) => {
+                assert.equal(records.length, 2);
+                records.forEach((rec) => {
+                    assert.equal(rec.payload.indexOf('plainSecret'), -1);
+                });
+                assert.equal(JSON.parse(records[0].payload).args.id,
+                             'smtp.password');
+                done();
+            });
+        });
+
+        it('should keep values of other workers', function(done) {
+            recordPayloads('echo', [
+                JSON.stringify({
+                    method: 'echoSync',
+                    args: {value: 'plain'}
+                })
+            ], (records) => {
+                assert.equal(JSON.parse(records[0].payload).args.value,
+                             'plain');
+                done();
+            });
+        });
+
+        it('should leave out payload which can not be parsed',
+                function(done) {
+            recordPayloads('echo', ['{broken'], (records) => {
+                assert.equal(records.length, 1);
+                assert.strictEqual(records[0].payload, undefined);
+                done();
+            });
+        });
+    });
 });
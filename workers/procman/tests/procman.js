@@ -107,6 +107,236 @@ describe('Core tests', function() {
                     done();
                 });
             });
+
+            it('can get per-method statistics of worker', function(done) {
+                interop.call('echo', 'echoSync', {str: 'foo'}, function(err) {
+                    assert.ifError(err);
+
+                    worker.call('findWorkers', {
+                        where: {
+                            name: 'echo'
+                        },
+                        includeStats: true
+                    }, function(err, res) {
+                        assert.ifError(err);
+                        assert.equal(res.length, 1);
+
+                        var methods = res[0].stats.methods;
+                        assert(methods, 'No method statistics for echo');
+                        assert(methods.echoSync.calls > 0);
+                        assert.strictEqual(typeof methods.echoSync.p95,
+                                           'number');
+                        done();
+                    });
+                });
+            });
+
+            it('should count only error replies as errors', function(done) {
+                var errors;
+
+                function getMethodStats(next) {
+                    worker.call('findWorkers', {
+                        where: {
+                            name: 'echo'
+                        },
+                        includeStats: true
+                    }, function(err, res) {
+                        assert.ifError(err);
+                        next(res[0].stats.methods);
+                    });
+                }
+
+                async.series([
+                    (next) => getMethodStats((methods) => {
+                        errors = methods.echoSync.errors;
+                        next();
+                    }),
+                    (next) => interop.call('echo', 'echoSync', {
+                        str: '{"status": {"code": "EFAILED"}}'
+                    }, next),
+                    (next) => interop.call('echo', 'echoFailure', {
+                        failureType: 'normalError'
+                    }, (err) => {
+                        assert.errorIs('EFAILED', err);
+                        next();
+                    }),
+                    (next) => getMethodStats((methods) => {
+                        assert.strictEqual(methods.echoSync.errors, errors);
+                        assert(methods.echoFailure.errorsByCode.EFAILED > 0);
+                        next();
+                    })
+                ], done);
+            });
+        });
+
+        describe('Dependencies', function() {
+
+            // fixture workers with invalid dependencies from tests/workers,
+            // they are never started
+            function findProblems(name, done) {
+                worker.call('findWorkers', {
+                    where: {
+                        name: name
+                    }
+                }, function(err, res) {
+                    assert.ifError(err);
+                    assert.equal(res.length, 1);
+                    assert.notEqual(res[0].status, 'online');
+                    done(res[0].problems);
+                });
+            }
+
+            function findProblem(problems, type) {
+                var res = problems.filter((p) => p.type === type);
+
+                assert.equal(res.length, 1, `No ${type} problem in ` +
+                             JSON.stringify(problems));
+                assert.equal(res[0].severity, 'error');
+                return res[0];
+            }
+
+            it('can get dependency graph', function(done) {
+                worker.call('getDependencyGraph', {}, function(err, res) {
+                    assert.ifError(err);
+
+                    var names = res.nodes.map((node) => node.name);
+                    assert(names.indexOf('echo') > -1);
+                    assert(names.indexOf('broker') > -1);
+                    assert.deepEqual(res.cycles.map((c) => c.sort()).sort(), [
+                        ['depconflict', 'depunknown'],
+                        ['depcycle1', 'depcycle2']
+                    ]);
+                    assert.deepEqual(res.unresolved.filter((u) => {
+                        return u.worker === 'depunknown';
+                    }), [{
+                        worker: 'depunknown',
+                        type: 'require',
+                        name: 'depnonexistent'
+                    }]);
+                    res.edges.forEach((edge) => {
+                        assert(names.indexOf(edge.from) > -1);
+                        assert(names.indexOf(edge.to) > -1);
+                    });
+                    done();
+                });
+            });
+
+            it('should report no problems for valid worker', function(done) {
+                worker.call('findWorkers', {
+                    where: {
+                        name: 'echo'
+                    }
+                }, function(err, res) {
+                    assert.ifError(err);
+                    assert.deepEqual(res[0].problems, []);
+                    assert.notEqual(res[0].status, 'offline');
+                    done();
+                });
+            });
+
+            it('should report dependency cycle', function(done) {
+                findProblems('depcycle1', (problems) => {
+                    var problem = findProblem(problems, 'cycle');
+
+                    assert.deepEqual(problem.workers.sort(),
+                                     ['depcycle1', 'depcycle2']);
+                    findProblems('depcycle2', (problems) => {
+                        findProblem(problems, 'cycle');
+                        done();
+                    });
+                });
+            });
+
+            it('should report unknown dependency', function(done) {
+                findProblems('depunknown', (problems) => {
+                    var problem = findProblem(problems, 'unknownDependency');
+
+                    assert.deepEqual(problem.workers, ['depnonexistent']);
+                    done();
+                });
+            });
+
+            it('should report worker both in after and before lists',
+                    function(done) {
+                findProblems('depconflict', (problems) => {
+                    var problem = findProblem(problems, 'contradiction');
+
+                    assert.deepEqual(problem.workers, ['depunknown']);
+                    // contradiction always makes a cycle as well
+                    findProblem(problems, 'cycle');
+                    done();
+                });
+            });
+
+            it('can get startup timeline', function(done) {
+                worker.call('getStartupTimeline', {}, function(err, res) {
+                    assert.ifError(err);
+                    assert.equal(res.state, 'online');
+                    assert(res.duration >= 0);
+                    assert(res.criticalPath.length > 0);
+
+                    var echo = res.workers.find((w) => w.name === 'echo');
+                    assert(echo, 'No echo in startup timeline');
+                    assert(echo.onlineTime >= echo.spawnTime);
+                    done();
+                });
+            });
+        });
+
+        describe('Recording', function() {
+            var status;
+
+            it('can record requests to worker', function(done) {
+                async.series([
+                    (next) => worker.call('startRecording', {
+                        workers: ['echo']
+                    }, (err, res) => {
+                        assert.ifError(err);
+                        assert.strictEqual(res.active, true);
+                        next();
+                    }),
+                    (next) => interop.call('echo', 'echoSync', {
+                        str: 'recorded'
+                    }, next),
+                    // reply may be an error, only the request matters
+                    (next) => interop.call('echo', 'echoSync', {
+                        str: 'recorded',
+                        password: 'recordedSecret'
+                    }, () => next()),
+                    (next) => worker.call('stopRecording', {},
+                                          (err, res) => {
+                        assert.ifError(err);
+                        status = res;
+                        assert.strictEqual(status.active, false);
+                        assert.equal(status.stopReason, 'stopped');
+                        assert.equal(status.records, 4);
+                        next();
+                    })
+                ], done);
+            });
+
+            it('should write request and reply to capture file',
+                    function(done) {
+                fs.readFile(status.file, 'utf8', (err, data) => {
+                    assert.ifError(err);
+
+                    var records = data.trim().split('\n').map(JSON.parse);
+                    assert.equal(records.length, 4);
+                    assert.equal(records[0].type, 'request');
+                    assert.equal(records[0].method, 'echoSync');
+                    assert(records[0].payload.indexOf('recorded') > -1);
+                    assert.equal(records[1].type, 'reply');
+                    assert.equal(records[1].rid, records[0].rid);
+                    assert.equal(records[3].rid, records[2].rid);
+                    assert.notEqual(records[2].rid, records[0].rid);
+
+                    // secrets are masked
+                    assert.equal(data.indexOf('recordedSecret'), -1);
+                    assert.equal(JSON.parse(records[2].payload).args.password,
+                                 '********');
+                    fs.unlink(status.file, done);
+                });
+            });
         });
 
         describe('Workers', function() {
@@ -135,6 +365,80 @@ describe('Core tests', function() {
 
                 });
             });
+
+            it('should keep restart history of echo worker', function(done) {
+                worker.call('getWorkerHistory', {
+                    name: 'echo',
+                    limit: 2
+                }, function(err, history) {
+                    assert.ifError(err);
+                    assert.equal(history.length, 2);
+
+                    var stopped = history[0];
+                    assert(stopped.startTime);
+                    assert(stopped.exitTime);
+                    assert.equal(stopped.cause, 'manual');
+                    assert(Array.isArray(stopped.stderr));
+
+                    var running = history[1];
+                    assert(running.onlineTime);
+                    assert.strictEqual(running.exitTime, undefined);
+                    done();
+                });
+            });
+
+            it('should finish pending request on graceful restart',
+                    function(done) {
+                async.parallel([
+                    function(next) {
+                        interop.call('echo', 'echoAsync', {
+                            str: 'slow',
+                            delay: 2000
+                        }, function(err, msg) {
+                            assert.ifError(err);
+                            assert.equal(msg, 'slow');
+                            next();
+                        });
+                    },
+                    function(next) {
+                        setTimeout(function() {
+                            worker.call('restartWorker', {
+                                name: 'echo',
+                                graceful: true
+                            }, next);
+                        }, 500);
+                    }
+                ], function(err) {
+                    assert.ifError(err);
+                    testHelpers.wait({
+                        message: 'Wait for echo to get online',
+                        interval: 500,
+                        callback: function(next) {
+                            worker.call('findWorkers', {
+                                where: {
+                                    name: 'echo'
+                                }
+                            }, function(err, res) {
+                                next(err, !err && res[0].online);
+                            });
+                        }
+                    }, done);
+                });
+            });
+
+            it('can list workers with restart history', function(done) {
+                worker.call('findWorkers', {
+                    where: {
+                        name: 'echo'
+                    },
+                    includeHistory: true
+                }, function(err, msg) {
+                    assert.ifError(err);
+                    assert.equal(msg.length, 1);
+                    assert(msg[0].history.length > 0);
+                    done();
+                });
+            });
         });
 
         describe('Respawning', function() {
@@ -218,6 +522,170 @@ describe('Core tests', function() {
             });
         });
 
+        describe('Restart policy', function() {
+            const CRASHER = 'crasher';
+
+            function findCrasher(done) {
+                worker.findWorkers({
+                    where: {
+                        name: CRASHER
+                    }
+                }, (err, res) => {
+                    assert.ifError(err);
+                    done(res[0]);
+                });
+            }
+
+            after('disable crasher', function(done) {
+                findCrasher((crasher) => {
+                    if (!crasher.enabled) {
+                        return done();
+                    }
+                    worker.call('disableWorker', {
+                        name: CRASHER
+                    }, done);
+                });
+            });
+
+            it('should put crashing worker to maintenance', function(done) {
+                this.timeout(60000);
+
+                async.series([
+                    (next) => worker.call('enableWorker', {
+                        name: CRASHER
+                    }, next),
+                    (next) => testHelpers.wait({
+                        message: 'Wait for crasher to go to maintenance',
+                        timeout: 50000,
+                        interval: 500,
+                        callback: function(cb) {
+                            findCrasher((crasher) => {
+                                cb(undefined,
+                                   crasher.status === 'maintenance');
+                            });
+                        }
+                    }, next),
+                    (next) => findCrasher((crasher) => {
+                        assert(crasher.statusDescription
+                               .indexOf('Failed 4 times') > -1,
+                               crasher.statusDescription);
+                        next();
+                    })
+                ], done);
+            });
+
+            it('should delay restarts with backoff', function(done) {
+                worker.call('getWorkerHistory', {
+                    name: CRASHER,
+                    limit: 4
+                }, (err, history) => {
+                    assert.ifError(err);
+                    assert.equal(history.length, 4);
+                    history.forEach((entry) => {
+                        assert.equal(entry.cause, 'crash');
+                        assert.strictEqual(entry.onlineTime, undefined);
+                    });
+
+                    var starts = history.map((entry) => {
+                        return new Date(entry.startTime).getTime();
+                    });
+
+                    // 1s * 3 ^ 1 after the second start
+                    assert(starts[2] - starts[1] >= 3000);
+                    // 1s * 3 ^ 2 capped by restartBackoffMax 4s
+                    assert(starts[3] - starts[2] >= 4000);
+                    assert(starts[3] - starts[2] < 9000);
+                    done();
+                });
+            });
+
+            it('should not restart worker in maintenance', function(done) {
+                worker.call('restartWorker', {
+                    name: CRASHER
+                }, (err) => {
+                    assert.errorIs('EFAILED', err);
+                    findCrasher((crasher) => {
+                        assert.equal(crasher.status, 'maintenance');
+                        assert.strictEqual(crasher.running, false);
+                        done();
+                    });
+                });
+            });
+
+            it('can clear maintenance', function(done) {
+                async.series([
+                    (next) => worker.clearWorker({
+                        name: CRASHER
+                    }, next),
+                    (next) => findCrasher((crasher) => {
+                        assert.notEqual(crasher.status, 'maintenance');
+                        next();
+                    }),
+                    (next) => worker.call('disableWorker', {
+                        name: CRASHER
+                    }, next)
+                ], done);
+            });
+
+            it('should count only failures within restart window', function() {
+                const WorkerChild = require('../lib/childrenObjects')
+                                    .WorkerChild;
+                var now = Date.now();
+                var child = {
+                    enabled: true,
+                    exitReason: 'Exited with code 1',
+                    meta: {
+                        restartMaxRetries: 2,
+                        restartWindow: 60
+                    },
+                    failureTimes: [now - 300000, now - 200000, now - 100000]
+                };
+
+                function check(cause) {
+                    return WorkerChild.prototype.checkRestartPolicy.call(
+                            child, cause || {type: 'crash'});
+                }
+
+                // the old failures are out of the window
+                assert.strictEqual(check(), undefined);
+                assert.equal(child.failureTimes.length, 1);
+                assert.strictEqual(check(), undefined);
+                // requested exits are not failures
+                assert.strictEqual(check({type: 'manual'}), undefined);
+                assert.equal(child.failureTimes.length, 2);
+                assert(check().toString().indexOf('Failed 3 times') > -1);
+            });
+
+            it('should restart on procman request under never policy',
+               function() {
+                const WorkerChild = require('../lib/childrenObjects')
+                                    .WorkerChild;
+                var child = {
+                    enabled: true,
+                    exitReason: 'Restarted',
+                    meta: {
+                        restartPolicy: 'never',
+                        restartMaxRetries: 2
+                    },
+                    failureTimes: []
+                };
+
+                function check(type) {
+                    return WorkerChild.prototype.checkRestartPolicy.call(
+                            child, {type: type});
+                }
+
+                assert(check('crash').toString().indexOf('"never"') > -1);
+                assert.equal(child.failureTimes.length, 0);
+                assert.strictEqual(check('memleak'), undefined);
+                assert.strictEqual(check('heartbeat'), undefined);
+                assert.equal(child.failureTimes.length, 2);
+                // procman restarts still count as failures
+                assert(check('startupTimeout').toString()
+                       .indexOf('Failed 3 times') > -1);
+            });
+        });
+
         describe('Debugging', function() {
 
             function checkDebugPort(done) {
@@ -428,6 +896,158 @@ describe('Core tests', function() {
             interop.call('procman', 'rescheduleGuards', {}, done);
         });
 
+        it('can get memory history of worker', function(done) {
+            this.timeout(10000);
+
+            setTimeout(() => {
+                interop.call('procman', 'getMemoryHistory', {
+                    name: 'echo'
+                }, (err, res) => {
+                    assert.ifError(err);
+                    assert.equal(res.name, 'echo');
+                    assert(res.samples.length > 0);
+                    assert(res.samples[0].memory > 0);
+                    assert.strictEqual(res.trend.growing, false);
+                    done();
+                });
+            }, 4500);
+        });
+
+        describe('memory trend', function() {
+            const MemleakGuard = require('../lib/MemleakGuard');
+            var origJointEvent = events.jointEvent;
+            var origCall = interop.call;
+            var emitted;
+            var pending;
+            var guard;
+            var fake;
+
+            // one sample per minute growing by the given MB per hour
+            function feed(growth, count) {
+                var start = Date.now() - count * 60000;
+
+                guard.samples[fake.name] = [];
+                guard.samples[fake.name].pid = fake.pid;
+                for (var i = 0; i < count; i++) {
+                    guard.samples[fake.name].push({
+                        time: start + i * 60000,
+                        memory: 100 + Math.round(i * growth / 60)
+                    });
+                }
+            }
+
+            beforeEach(function() {
+                emitted = [];
+                pending = 0;
+                fake = {
+                    name: 'fakeleak',
+                    pid: 1234,
+                    enabled: true,
+                    unkillable: false,
+                    restarts: [],
+                    meta: {
+                        memleakGuardEnabled: true,
+                        memleakGuardTrigger: 1000,
+                        memleakGuardTrendRestart: true
+                    },
+                    restart: function(opts, done) {
+                        this.restarts.push(opts);
+                        done();
+                    }
+                };
+                guard = new MemleakGuard({
+                    workers: {
+                        get: (name) => name === fake.name ? fake : undefined
+                    }
+                });
+
+                events.jointEvent = (name, payload) => {
+                    emitted.push({name: name, payload: payload});
+                };
+                interop.call = (worker, method, args, done) => {
+                    assert.equal(worker, 'broker');
+                    assert.equal(method, 'getStats');
+                    done(undefined, [{
+                        name: fake.name,
+                        stats: {pending: pending}
+                    }]);
+                };
+            });
+
+            afterEach(function() {
+                events.jointEvent = origJointEvent;
+                interop.call = origCall;
+            });
+
+            it('should not report stable memory', function() {
+                feed(0, 30);
+                assert.strictEqual(guard.getTrend(fake).growing, false);
+
+                // too few samples to tell
+                feed(600, 5);
+                assert.strictEqual(guard.getTrend(fake).growing, false);
+            });
+
+            it('should detect sustained growth', function() {
+                feed(120, 30);
+
+                var trend = guard.getTrend(fake);
+                assert.strictEqual(trend.growing, true);
+                assert(trend.growthRate > 100 && trend.growthRate < 140,
+                       trend.growthRate);
+                assert(trend.fit >= 0.9);
+                assert(new Date(trend.triggerTime) > new Date());
+            });
+
+            it('should emit growth event once and restart in quiet moment',
+                    function(done) {
+                feed(120, 30);
+                pending = 2;
+
+                async.series([
+                    (next) => guard.checkTrend(fake, 160, next),
+                    (next) => {
+                        // busy worker is not restarted
+                        assert.equal(fake.restarts.length, 0);
+                        pending = 0;
+                        guard.checkTrend(fake, 160, next);
+                    },
+                    (next) => {
+                        assert.equal(emitted.length, 1);
+                        assert.equal(emitted[0].name,
+                                     'NEF_procman_memory_growth');
+                        assert.equal(emitted[0].payload.name, fake.name);
+                        assert.equal(emitted[0].payload.memory, 160);
+                        assert.equal(fake.restarts.length, 1);
+                        assert.equal(fake.restarts[0].reason, 'memleak');
+                        assert.strictEqual(fake.restarts[0].graceful, true);
+                        next();
+                    }
+                ], done);
+            });
+
+            it('should forget samples of disabled and removed workers',
+                    function(done) {
+                feed(120, 30);
+                guard.checkTrend(fake, 160, (err) => {
+                    assert.ifError(err);
+                    guard.prune();
+                    assert(guard.samples[fake.name]);
+
+                    fake.enabled = false;
+                    guard.prune();
+                    assert.strictEqual(guard.samples[fake.name], undefined);
+                    assert.strictEqual(guard.warned[fake.name], undefined);
+
+                    feed(120, 30);
+                    fake.name = 'removed';
+                    guard.prune();
+                    assert.deepEqual(guard.samples, {});
+                    done();
+                });
+            });
+        });
+
         it('should kill echo when it take to much memory', function(done) {
             testHelpers.waitEvent({
                 message: `Wait when procman kills echo`,
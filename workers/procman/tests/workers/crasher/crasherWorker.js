@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+/**
+ * @fileOverview Crasher worker
+ *
+ * Exits with error shortly after start, before it comes online. Procman
+ * tests use it to check restart policy and backoff of failed starts.
+ */
+
+setTimeout(() => {
+    process.exit(1);
+}, 500);
@@ -0,0 +1,89 @@
+#!/usr/bin/python
+#
+# Re-issue requests recorded by procman startRecording API against
+# running NEF, e.g. on a dev box:
+#
+#   replay.py [--endpoint tcp://127.0.0.1:5557] [--worker echo]
+#             [--keep-timing] capture.jsonl
+#
+# Result of each call is compared with the recorded reply. Values of secret
+# fields like passwords and values of sysconfig properties are masked in
+# the capture file, so calls which need them are replayed with the masked
+# values. Records without payload are skipped.
+#
+import sys
+sys.path.append('../../../extlib/python')
+
+import argparse
+import json
+import time
+
+import nef
+
+parser = argparse.ArgumentParser(description='Replay broker capture file')
+parser.add_argument('file', help='capture file')
+parser.add_argument('--endpoint', default='tcp://127.0.0.1:5557',
+                    help='broker endpoint')
+parser.add_argument('--worker', action='append',
+                    help='replay requests to this worker only')
+parser.add_argument('--keep-timing', action='store_true',
+                    help='keep intervals between requests as recorded')
+opts = parser.parse_args()
+
+requests = []
+replies = {}
+with open(opts.file, 'r') as f:
+    for line in f:
+        record = json.loads(line)
+        if opts.worker and record['worker'] not in opts.worker:
+            continue
+        # recorder leaves out payloads which it can't parse and mask
+        if 'payload' not in record:
+            continue
+        if record['type'] == 'request' and record['method'] != 'abort':
+            requests.append(record)
+        elif record['type'] == 'reply':
+            replies[record['rid']] = json.loads(record['payload'])
+
+client = nef.NEFClient(opts.endpoint)
+prev_time = None
+mismatches = 0
+
+for record in requests:
+    if opts.keep_timing:
+        # only intervals matter, hence timezone is ignored
+        ts = time.mktime(time.strptime(record['time'][:19],
+                                       '%Y-%m-%dT%H:%M:%S'))
+        ts += float(record['time'][19:23] or 0)
+        if prev_time is not None and ts > prev_time:
+            time.sleep(ts - prev_time)
+        prev_time = ts
+
+    payload = json.loads(record['payload'])
+    method = getattr(client.worker(record['worker']), record['method'])
+
+    try:
+        result = {'data': method(**payload.get('args', {}))}
+    except Exception as err:
+        result = {'error': str(err)}
+
+    expected = replies.get(record['rid'])
+    if expected is None:
+        status = 'NO REPLY RECORDED'
+    elif 'status' in expected:
+        status = 'OK' if 'error' in result else 'MISMATCH'
+    else:
+        status = 'OK' if result.get('data') == expected.get('data') \
+            else 'MISMATCH'
+
+    if status == 'MISMATCH':
+        mismatches += 1
+
+    print('%s %s.%s [%s]' % (status, record['worker'], record['method'],
+                             record['rid']))
+    if status != 'OK':
+        print('  expected: %s' % json.dumps(expected))
+        print('  got:      %s' % json.dumps(result))
+
+print('Replayed %d requests, %d mismatches' % (len(requests), mismatches))
+sys.exit(1 if mismatches else 0)
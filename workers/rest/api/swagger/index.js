@@ -10,8 +10,10 @@ var NefError = require('nef/error').NefError;
 var logger = require('nef/logger');
 var restUtils = require('nef/restUtils.js');
 var Swagger = require('./swagger.js');
+var OpenApi = require('./openapi.js');
 
 var swagger;
+var openApi;
 
 function listingHandler(req, done) {
     var spec;
@@ -35,8 +37,21 @@ function apiHandler(req, done) {
     }
 }
 
+function openApiHandler(req, done) {
+    var spec;
+
+    try {
+        spec = openApi.getSpec(req, req.apiVersion.toString());
+    } catch (err) {
+        done(err);
+        return;
+    }
+    done(undefined, spec);
+}
+
 function initApi(restServer, done) {
     swagger = new Swagger(restServer);
+    openApi = new OpenApi(restServer);
     done();
 }
 
@@ -76,5 +91,17 @@ module.exports = {
             output: {type: 'object'} // opaque object in swagger format
         },
         accessLevel: 'guest',
+    }, {
+        id: 'openApiSpec',
+        handler: openApiHandler,
+        action: 'read',
+        noMetadata: true,
+        url: '/openapi',
+        description: 'Get OpenAPI 3.0 document for all REST API',
+        allowedZones: ['global', 'non-global'],
+        schemas: {
+            output: {type: 'object'} // opaque object in OpenAPI format
+        },
+        accessLevel: 'guest',
     }]
 };
@@ -0,0 +1,616 @@
+/**
+ * @FileOverview OpenAPI support for NEF REST API
+ *
+ *  Generates OpenAPI 3.0 document for each supported API version using
+ *  the same introspection of REST server as the swagger 1.2 code does.
+ *  Unlike swagger 1.2 output the document is self-contained: all paths,
+ *  models and responses are in one object, which can be fed directly to
+ *  client generators.
+ *
+ *  https://spec.openapis.org/oas/v3.0.3
+ *
+ *  Copyright (C) 2016 Nexenta Systems, Inc
+ *  All rights reserved.
+ **/
+
+var log = require('nef/logger');
+var utils = require('nef/utils');
+var restUtils = require('nef/restUtils');
+var NefError = require('nef/error').NefError;
+
+var OPENAPI_VERSION = '3.0.3';
+
+var PRIMITIVES = ['string', 'boolean', 'integer', 'number'];
+
+// JSON schema keywords which have the same meaning in OpenAPI schema object
+var COPIED_KEYWORDS = ['description', 'format', 'enum', 'default', 'minimum',
+        'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength',
+        'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems',
+        'readOnly', 'example'];
+
+var standardResponses = {
+    200: 'OK',
+    201: 'Created',
+    202: 'Accepted, the operation continues as async job',
+    400: 'Invalid parameters',
+    404: 'Not found',
+    500: 'Internal server error'
+};
+
+/**
+ * Create OpenAPI generator
+ *
+ * @param {object} restServer  REST server object (should have 'bendApiMap')
+ * @constructor
+ */
+var OpenApi = function(restServer) {
+    var self = this;
+
+    self.versions = {};
+    restServer.versions.forEach(v => {
+        self.versions[v.toString()] = self.createDocument(restServer,
+                v.toString());
+    });
+};
+
+/**
+ * Get OpenAPI document for given API version
+ *
+ * @param {object} req  request used to fill in server URL (optional)
+ * @param {string} v    API version
+ * @returns {object}
+ */
+OpenApi.prototype.getSpec = function(req, v) {
+    if (!(v in this.versions)) {
+        throw new NefError('ENOENT', __('Requesting unsupported version %s ' +
+                'of API specification', v));
+    }
+
+    var doc = this.versions[v];
+
+    if (req) {
+        var protocol = req.connection.encrypted ? 'https://' : 'http://';
+        doc.servers = [{
+            url: protocol + req.headers.host
+        }];
+    }
+
+    return doc;
+};
+
+/**
+ * Build the whole document for one API version
+ *
+ * @param {object} restServer  REST server object
+ * @param {string} apiVersion  version of API to generate document for
+ */
+OpenApi.prototype.createDocument = function(restServer, apiVersion) {
+    var self = this;
+    var doc = {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'NEF REST API',
+            version: apiVersion
+        },
+        servers: [{
+            url: '/'
+        }],
+        tags: [],
+        paths: {},
+        components: {
+            schemas: {
+                NefError: errorSchema(),
+                Link: linkSchema(),
+                AsyncJob: asyncJobSchema()
+            },
+            responses: {
+                Error: {
+                    description: 'Error',
+                    content: jsonContent({
+                        $ref: '#/components/schemas/NefError'
+                    })
+                }
+            },
+            headers: {
+                Location: {
+                    description: 'URL of the async job monitor',
+                    schema: {
+                        type: 'string'
+                    }
+                }
+            }
+        }
+    };
+
+    self.operationIds = {};
+
+    Object.keys(restServer.bendApiMap).sort().forEach(function(id) {
+        var api = restServer.bendApiMap[id];
+
+        if (api.hideApi) {
+            return;
+        }
+
+        var added = false;
+        for (var m in api.methods) {
+            var mdesc = api.methods[m].versions[apiVersion];
+
+            if (!mdesc || mdesc.hidden || !mdesc.url ||
+                    isDocumentationUrl(mdesc.url)) {
+                continue;
+            }
+            self.addOperation(doc, api, mdesc, apiVersion);
+            added = true;
+        }
+        if (added) {
+            doc.tags.push({
+                name: api.name
+            });
+        }
+    });
+
+    return doc;
+};
+
+/**
+ * Add operation for one method descriptor to the document
+ */
+OpenApi.prototype.addOperation = function(doc, api, mdesc, apiVersion) {
+    var path = reformatPath(mdesc.url);
+    var httpMethod = restUtils.mapHTTPMethod(mdesc.action).usr.toLowerCase();
+    var schemas = mdesc.schemas || {};
+    var operationId = mdesc.id;
+
+    if (mdesc.urlProxy) {
+        path += '/{proxyPath}';
+    }
+    if (!doc.paths[path]) {
+        doc.paths[path] = {};
+    }
+    if (doc.paths[path][httpMethod]) {
+        log.warn(__('openapi: duplicate %(method)s operation for %(path)s', {
+            method: httpMethod,
+            path: path
+        }));
+        return;
+    }
+
+    // operation IDs must be unique within the document
+    while (this.operationIds[operationId]) {
+        operationId += '_';
+    }
+    this.operationIds[operationId] = true;
+
+    var op = {
+        tags: [api.name],
+        operationId: operationId,
+        summary: mdesc.description,
+        parameters: this.createParams(mdesc),
+        responses: this.createResponses(doc, api, mdesc, apiVersion)
+    };
+
+    if (mdesc.notes) {
+        op.description = mdesc.notes;
+    }
+    if (mdesc.isCollection) {
+        op.description = (op.description ? op.description + '\n\n' : '') +
+                'Entries can be filtered by operators appended to property ' +
+                'name: prop[eq], prop[ne], prop[gt], prop[gte], prop[lt], ' +
+                'prop[lte], prop[like] (* is a wildcard) and prop[in] ' +
+                '(comma separated values).';
+    }
+
+    if (['create', 'update'].indexOf(mdesc.action) !== -1 && schemas.input) {
+        op.requestBody = {
+            required: true,
+            content: jsonContent(this.modelRef(doc, api, mdesc, apiVersion,
+                    schemas.input,
+                    (mdesc.action === 'create') ? 'Input' : 'Update'))
+        };
+    }
+
+    doc.paths[path][httpMethod] = op;
+};
+
+/**
+ * Create path and query parameters of the operation
+ *
+ * @param {object} mdesc  REST method descriptor
+ * @returns {Array}
+ */
+OpenApi.prototype.createParams = function(mdesc) {
+    var schemas = mdesc.schemas || {};
+    var params = [];
+    var urlProps = (schemas.url && schemas.url.properties) || {};
+    var queryProps = (schemas.query && schemas.query.properties) || {};
+
+    mdesc.url.split('/').filter(function(x) {
+        return (x[0] === ':' && x.length > 1);
+    }).forEach(function(x) {
+        var name = x.slice(1);
+        var prop = urlProps[name] || {
+            type: 'string'
+        };
+
+        params.push({
+            name: name,
+            in: 'path',
+            required: true,
+            description: prop.description,
+            schema: convertSchema(prop)
+        });
+    });
+
+    if (mdesc.urlProxy) {
+        params.push({
+            name: 'proxyPath',
+            in: 'path',
+            required: true,
+            description: 'URL path, i.e. inventory/cpus',
+            schema: {
+                type: 'string'
+            }
+        });
+    }
+
+    Object.keys(queryProps).forEach(function(name) {
+        var prop = queryProps[name];
+
+        if (PRIMITIVES.indexOf(prop.type) === -1) {
+            return;
+        }
+        // path parameter shadows query parameter of the same name
+        if (urlProps[name]) {
+            return;
+        }
+        params.push({
+            name: name,
+            in: 'query',
+            required: false,
+            description: prop.description,
+            schema: convertSchema(prop)
+        });
+    });
+
+    return params;
+};
+
+/**
+ * Create responses of the operation. Successful read operations carry
+ * metadata (links and for collections also totalCount).
+ */
+OpenApi.prototype.createResponses = function(doc, api, mdesc, apiVersion) {
+    var schemas = mdesc.schemas || {};
+    var responses = {};
+    var success = (mdesc.action === 'create') ? 201 : 200;
+    var body;
+
+    responses[success] = {
+        description: standardResponses[success]
+    };
+
+    if (schemas.output && mdesc.action !== 'head') {
+        body = this.modelRef(doc, api, mdesc, apiVersion, schemas.output);
+
+        if (mdesc.action === 'read' && !mdesc.noMetadata) {
+            body = mdesc.isCollection ? {
+                type: 'object',
+                properties: {
+                    data: body,
+                    links: linksRef(),
+                    totalCount: {
+                        type: 'integer',
+                        description: 'Size of the whole collection if known'
+                    }
+                }
+            } : {
+                allOf: [body, {
+                    type: 'object',
+                    properties: {
+                        links: linksRef()
+                    }
+                }]
+            };
+        }
+        responses[success].content = jsonContent(body);
+    }
+
+    if (mdesc.isCollection) {
+        responses[success].headers = {
+            'X-Items-Count': {
+                description: 'Number of returned entries',
+                schema: {
+                    type: 'integer'
+                }
+            },
+            'X-Total-Count': {
+                description: 'Size of the whole collection if known',
+                schema: {
+                    type: 'integer'
+                }
+            }
+        };
+    }
+
+    if (mdesc.async) {
+        responses[202] = {
+            description: standardResponses[202],
+            headers: {
+                Location: {
+                    $ref: '#/components/headers/Location'
+                }
+            },
+            content: jsonContent({
+                $ref: '#/components/schemas/AsyncJob'
+            })
+        };
+    }
+
+    var errors = [400, 500];
+    // if there is at least one parameter in URL then "not found" is possible
+    if (mdesc.url.indexOf('/:') !== -1) {
+        errors.push(404);
+    }
+    errors.sort().forEach(function(code) {
+        responses[code] = {
+            $ref: '#/components/responses/Error'
+        };
+    });
+    responses.default = {
+        $ref: '#/components/responses/Error'
+    };
+
+    return responses;
+};
+
+/**
+ * Convert schema of input or output and put it among component schemas
+ * if it describes an object of collection. Returns schema or reference.
+ */
+OpenApi.prototype.modelRef = function(doc, api, mdesc, apiVersion, schema,
+                                      suffix) {
+    var converted = convertSchema(schema);
+    var coll = mdesc.collectionId && api.collections[mdesc.collectionId];
+    var cdesc = coll && coll.versions[apiVersion];
+    var name;
+
+    if (!cdesc || !cdesc.objectName) {
+        return converted;
+    }
+
+    var item = (converted.type === 'array') ? converted.items : converted;
+    if (!item || item.type !== 'object') {
+        return converted;
+    }
+
+    name = toPascalCase(cdesc.objectName) + (suffix || '');
+    while (doc.components.schemas[name] &&
+            JSON.stringify(doc.components.schemas[name]) !==
+            JSON.stringify(item)) {
+        name += '_';
+    }
+    doc.components.schemas[name] = item;
+
+    var ref = {
+        $ref: '#/components/schemas/' + name
+    };
+    if (converted.type === 'array') {
+        return {
+            type: 'array',
+            items: ref
+        };
+    }
+    return ref;
+};
+
+/**
+ * Convert JSON schema used by REST backends (draft 3 style required
+ * properties, type arrays, 'any' type) to OpenAPI 3.0 schema object.
+ *
+ * @param {object} schema  JSON schema
+ * @returns {object}
+ */
+function convertSchema(schema) {
+    var res = {};
+    var type;
+
+    if (!schema || typeof schema !== 'object') {
+        return res;
+    }
+    type = schema.type;
+
+    COPIED_KEYWORDS.forEach(function(k) {
+        if (schema[k] !== undefined) {
+            res[k] = utils.clone(schema[k]);
+        }
+    });
+
+    ['oneOf', 'anyOf', 'allOf'].forEach(function(k) {
+        if (utils.isArray(schema[k])) {
+            res[k] = schema[k].map(convertSchema);
+        }
+    });
+
+    if (utils.isArray(type)) {
+        var types = type.filter(function(t) {
+            return t !== 'null';
+        });
+
+        if (types.length < type.length) {
+            res.nullable = true;
+        }
+        if (types.length !== 1) {
+            res.anyOf = types.map(function(t) {
+                return convertSchema(utils.extend({}, schema, {
+                    type: t
+                }));
+            });
+            return res;
+        }
+        type = types[0];
+    }
+
+    if (type === 'null') {
+        res.nullable = true;
+        return res;
+    }
+    if (type === 'any' || type === undefined) {
+        return res;
+    }
+    res.type = type;
+
+    if (type === 'object') {
+        var required = utils.isArray(schema.required) ?
+                schema.required.slice() : [];
+
+        if (schema.properties) {
+            res.properties = {};
+            Object.keys(schema.properties).forEach(function(p) {
+                var prop = schema.properties[p];
+
+                res.properties[p] = convertSchema(prop);
+                if (prop && prop.required === true &&
+                        required.indexOf(p) === -1) {
+                    required.push(p);
+                }
+            });
+        }
+        if (required.length > 0) {
+            res.required = required;
+        }
+
+        if (typeof schema.additionalProperties === 'object') {
+            res.additionalProperties =
+                    convertSchema(schema.additionalProperties);
+        } else if (schema.additionalProperties === false) {
+            res.additionalProperties = false;
+        } else if (schema.patternProperties) {
+            // OpenAPI 3.0 doesn't know pattern properties
+            var patterns = Object.keys(schema.patternProperties);
+
+            res.additionalProperties = (patterns.length === 1) ?
+                    convertSchema(schema.patternProperties[patterns[0]]) :
+                    true;
+        }
+    } else if (type === 'array') {
+        res.items = utils.isArray(schema.items) ? {} :
+                convertSchema(schema.items);
+    }
+
+    return res;
+}
+
+/**
+ * Schema of error returned by REST API (serialized NefError)
+ */
+function errorSchema() {
+    return {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+            name: {
+                type: 'string',
+                description: 'Name of the error class'
+            },
+            code: {
+                type: 'string',
+                description: 'Error code, i.e. ENOENT or EBADARG'
+            },
+            message: {
+                type: 'string',
+                description: 'Error message'
+            },
+            stack: {
+                type: 'string',
+                description: 'Optional stack trace'
+            },
+            cause: {
+                $ref: '#/components/schemas/NefError'
+            }
+        },
+        additionalProperties: true
+    };
+}
+
+function linkSchema() {
+    return {
+        type: 'object',
+        required: ['rel', 'href'],
+        properties: {
+            rel: {
+                type: 'string'
+            },
+            href: {
+                type: 'string'
+            },
+            method: {
+                type: 'string'
+            }
+        }
+    };
+}
+
+/**
+ * Body of 202 response, it points to monitor of the job
+ */
+function asyncJobSchema() {
+    return {
+        type: 'object',
+        properties: {
+            links: linksRef()
+        },
+        additionalProperties: true
+    };
+}
+
+function linksRef() {
+    return {
+        type: 'array',
+        items: {
+            $ref: '#/components/schemas/Link'
+        }
+    };
+}
+
+function jsonContent(schema) {
+    return {
+        'application/json': {
+            schema: schema
+        }
+    };
+}
+
+/**
+ * True for URLs of API documentation itself
+ */
+function isDocumentationUrl(url) {
+    return url.indexOf('/api-docs') === 0 || url === '/openapi';
+}
+
+/**
+ * Convert path from restify format to OpenAPI form
+ *
+ * @param {String} path     resource path in restify format
+ * @returns {String}
+ */
+function reformatPath(path) {
+    return path.split('/').map(function(part) {
+        if (part && part[0] == ':') {
+            return '{' + part.slice(1) + '}';
+        }
+        return part;
+    }).join('/');
+}
+
+/**
+ * Convert object name to PascalCaseName used for component schemas
+ */
+function toPascalCase(name) {
+    return name.split(/[^a-zA-Z0-9]+/).filter(function(x) {
+        return x !== '';
+    }).map(function(x) {
+        return x[0].toUpperCase() + x.slice(1);
+    }).join('');
+}
+
+module.exports = OpenApi;
@@ -7,6 +7,7 @@
  *
  *  Current implementation is for version 1.2 of swagger spec:
  *  https://github.com/wordnik/swagger-spec/blob/master/versions/1.2.md
+ *  OpenAPI 3.0 document is generated by openapi.js.
  *
  *  Copyright (C) 2014-2016 Nexenta Systems, Inc
  *  All rights reserved.
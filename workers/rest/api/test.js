@@ -11,7 +11,9 @@ var NefError = require('nef/error').NefError;
 var utils  = require('nef/utils');
 var interop = require('nef/interop');
 var restUtils = require('nef/restUtils');
+var restCollection = require('../restCollection');
 var commonConfig = utils.requireConfig('config/common');
+var restConfig = utils.requireConfig('config/rest');
 
 // database of humans for test people collection
 var people = {};
@@ -89,6 +91,23 @@ var toySchema = {
     }
 };
 
+var numberSchema = {
+    type: 'object',
+    properties: {
+        value: {
+            description: 'The number',
+            type: 'integer',
+            required: true
+        },
+        even: {
+            description: 'True if the number is even',
+            type: 'boolean',
+            required: true
+        }
+    },
+    additionalProperties: false
+};
+
 var ageSchema = {
     type: 'object',
     properties: {}
@@ -103,6 +122,9 @@ var asyncOpQuerySchema = {
 
 var babyIdCounter = 1; // ID generator for babies
 
+// size of pagedNumbers collection, it doesn't fit into two pages
+var PAGED_NUMBERS_COUNT = restConfig.collectionMaxPageLimit * 2 + 10;
+
 function stripBabies(human) {
     if (!human) {
         return human;
@@ -112,19 +134,30 @@ function stripBabies(human) {
     return res;
 }
 
-function asyncOpBody(delay, progressCb, done) {
+function asyncOpBody(delay, progressCb, done, onCancel) {
     var i = 0;
+    var cancelled = false;
 
     delay = delay || 5;
 
+    if (onCancel) {
+        onCancel(function(cancelDone) {
+            cancelled = true;
+            cancelDone();
+        });
+    }
+
     // n seconds, every second a progress call
     async.whilst(
-        function() { return i < delay; },
+        function() { return i < delay && !cancelled; },
         function(next) {
-            progressCb(i++);
+            progressCb(i++, undefined, delay);
             setTimeout(next, 1000);
         },
         function(err) {
+            if (!err && cancelled) {
+                err = NefError('ECANCELED', __('Operation was cancelled'));
+            }
             done(err);
         });
 }
@@ -534,6 +567,82 @@ module.exports = {
             utils.callAsync(done, null, data);
         },
         methods: []
+    }, {
+        id: 'numbers',
+        url: '/test/numbers',
+        key: 'value',
+        description: 'Collection of numbers 1..50 paginated by cursors',
+        objectName: 'number',
+        objectSchema: numberSchema,
+        pagination: 'cursor',
+        sortKey: 'value',
+        handler: function readNumbers(req, done) {
+            var res = [];
+
+            for (var i = 1; i <= 50; i++) {
+                res.push({
+                    value: i,
+                    even: (i % 2 === 0)
+                });
+            }
+            res = restUtils.filterResult(res, req.query,
+                    ['limit', 'offset', 'fields', 'cursor']);
+            utils.callAsync(done, null, restCollection.fitCursorPage(req, res));
+        },
+        methods: {}
+    }, {
+        id: 'numbersByParity',
+        url: '/test/numbersByParity',
+        key: 'value',
+        description: 'Collection of numbers 1..50 paginated by cursors ' +
+                     'sorted by non-unique key',
+        objectName: 'number',
+        objectSchema: numberSchema,
+        pagination: 'cursor',
+        sortKey: 'even',
+        handler: function readNumbersByParity(req, done) {
+            var res = [];
+
+            // reversed order checks that the entries are sorted by key
+            for (var i = 50; i >= 1; i--) {
+                res.push({
+                    value: i,
+                    even: (i % 2 === 0)
+                });
+            }
+            utils.callAsync(done, null, restCollection.fitCursorPage(req, res));
+        },
+        methods: {}
+    }, {
+        id: 'pagedNumbers',
+        url: '/test/pagedNumbers',
+        key: 'value',
+        description: 'Collection of numbers which is too big to be read ' +
+                     'by one page',
+        objectName: 'number',
+        objectSchema: numberSchema,
+        handler: function readPagedNumbers(req, done) {
+            var res = [];
+
+            // like a backend with maximum in schema of limit parameter
+            if (req.query.limit > restConfig.collectionMaxPageLimit + 1) {
+                utils.callAsync(done, NefError('EBADARG', 'Limit is too big'));
+                return;
+            }
+            // reversed order checks that the entries with equal sort
+            // properties are sorted by key
+            for (var i = PAGED_NUMBERS_COUNT; i >= 1; i--) {
+                res.push({
+                    value: i,
+                    even: (i % 2 === 0)
+                });
+            }
+            res = restUtils.filterResult(res, req.query,
+                    ['limit', 'offset', 'fields']);
+            res = restUtils.fitPage(req, res);
+            utils.callAsync(done, null, res);
+        },
+        methods: {}
     }],
     handlers: [{
         id: 'testValidation',
@@ -612,6 +721,16 @@ module.exports = {
         handler: function(req, done) {
             interop.call('worker-XXX', 'method', {}, done);
         }
+    }, {
+        id: 'testEcho',
+        action: 'read',
+        url: '/test/echo',
+        description: 'Test passing of request ID to backend worker',
+        handler: function(req, done) {
+            req.interop.call('echo', 'echoSync', {
+                str: 'rest'
+            }, done);
+        }
     }, {
         id: 'uncaughtException',
         action: 'read',
@@ -687,6 +806,41 @@ module.exports = {
                 });
             });
         }
+    }, {
+        id: 'testCancellableAsyncCreate',
+        action: 'create',
+        async: true,
+        url: '/test/cancellableAsync',
+        description: 'Run async create which can be cancelled',
+        schemas: {query: asyncOpQuerySchema},
+        handler: function(req, done, progressCb, asyncDone, onCancel) {
+            asyncOpBody(req.query.delay, progressCb, done, onCancel);
+        }
+    }, {
+        id: 'testAsyncPhases',
+        action: 'create',
+        async: true,
+        url: '/test/asyncPhases',
+        description: 'Run async create which goes through two phases, ' +
+                'each taking given number of seconds',
+        phases: ['prepare', 'transfer'],
+        schemas: {query: asyncOpQuerySchema},
+        handler: function(req, done, progressCb) {
+            var delay = req.query.delay || 2;
+
+            async.forEachSeries(['prepare', 'transfer'], function(phase, next) {
+                var i = 0;
+
+                async.whilst(
+                    function() { return i < delay; },
+                    function(next) {
+                        progressCb(i++, 'Running ' + phase, delay, phase);
+                        setTimeout(next, 1000);
+                    }, next);
+            }, function(err) {
+                done(err);
+            });
+        }
     }, {
         id: 'peopleProxy',
         attachTo: {
@@ -12,12 +12,38 @@ var logger = require('nef/logger');
 var utils = require('nef/utils');
 var schemaUtils = require('nef/schemaUtils');
 var restUtils = require('nef/restUtils');
+var NefError = require('nef/error').NefError;
 var restConvert = require('./restConvert');
 
 var restConfig = utils.requireConfig('config/rest');
 
 var coll = {}; // exported stuff from this module
 
+/**
+ * Format sort and filter operators of collection query back to URL
+ * parameters, so that they are preserved in links to other pages.
+ */
+function formatCollectionQuery(req) {
+    var query = req.collectionQuery;
+    var params = [];
+
+    if (!query) {
+        return params;
+    }
+    if (query.sort.length > 0) {
+        params.push('sort=' + encodeURIComponent(query.sort.map(function(s) {
+            return (s.descending ? '-' : '') + s.property;
+        }).join(',')));
+    }
+    query.filters.forEach(function(f) {
+        params.push(encodeURIComponent(f.property + '[' + f.operator + ']') +
+                '=' + encodeURIComponent((f.operator === 'in') ?
+                f.value.join(',') : f.value));
+    });
+
+    return params;
+}
+
 /**
  * Build a paginated URL string using restify request object and
  * custom 'offset' and 'limit'.
@@ -60,6 +86,11 @@ function buildPaginatedUrl(req, offset, limit) {
             addParam(i, req.query[i]);
         }
     }
+    formatCollectionQuery(req).forEach(function(param) {
+        url += (first) ? '?' : '&';
+        first = false;
+        url += param;
+    });
 
     if (!offsetSeen) {
         addParam('offset', offset);
@@ -71,23 +102,174 @@ function buildPaginatedUrl(req, offset, limit) {
     return url;
 }
 
+/**
+ * Build URL of a page in cursor paginated collection. Offset is dropped,
+ * because it has no meaning for cursors.
+ *
+ * returns URL in the following form: /<url>?cursor=X&limit=Y
+ */
+function buildCursorUrl(req, cursor, limit) {
+    var url = req.getPath();
+    var params = [];
+
+    for (var i in req.query) {
+        if (i === 'offset' || i === 'cursor' || i === 'limit') {
+            continue;
+        } else if (i === 'fields') {
+            // fields is different because it was preprocessed by server
+            if (req.query.fields) {
+                params.push('fields=' + req.query.fields.map(function(f) {
+                    return encodeURIComponent(f);
+                }).join(','));
+            }
+        } else {
+            params.push(encodeURIComponent(i) + '=' +
+                        encodeURIComponent(req.query[i]));
+        }
+    }
+    params = params.concat(formatCollectionQuery(req));
+    params.push('cursor=' + encodeURIComponent(cursor));
+    params.push('limit=' + encodeURIComponent(limit));
+
+    return url + '?' + params.join('&');
+}
+
+/**
+ * Cursor is opaque for clients, it's an url-safe base64 encoded JSON with
+ * value of sort key to resume after ("a") or before ("b") and value of
+ * collection key ("k") of the same entry, which breaks ties among entries
+ * with equal sort key.
+ */
+function encodeCursor(data) {
+    return Buffer.from(JSON.stringify(data)).toString('base64')
+                 .replace(/\+/g, '-')
+                 .replace(/\//g, '_')
+                 .replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+    var data;
+
+    try {
+        data = JSON.parse(Buffer.from(cursor.replace(/-/g, '+')
+                                            .replace(/_/g, '/'), 'base64')
+                                .toString());
+    } catch (err) {
+        data = undefined;
+    }
+
+    if (!data || typeof data !== 'object' ||
+            (data.a === undefined) === (data.b === undefined)) {
+        throw NefError('EBADARG', __('Invalid cursor: %s', cursor));
+    }
+    return data;
+}
+
+/**
+ * Normalize limit of the page according to server configuration.
+ */
+function normalizeLimit(req) {
+    if (!req.query.limit || req.query.limit < 1) {
+        req.query.limit = restConfig.collectionDefaultPageLimit;
+    }
+    if (req.query.limit > restConfig.collectionMaxPageLimit) {
+        req.query.limit = restConfig.collectionMaxPageLimit;
+    }
+}
+
+/**
+ * Add href to each entry of collection and set headers describing the page.
+ */
+function finishPage(req, res, key) {
+    // syntetize href attribute for each returned entry
+    if (req.query.fields && req.query.fields.indexOf('href') === -1) {
+        req.query.fields.push('href'); // href cannot be filtered out
+    }
+    res = res.map(function(e) {
+        // be safe and don't modify object passed from handler
+        if (!e.href) {
+            e = utils.objectCopy(e);
+            e.href = req.getPath() + '/' + encodeURIComponent(e[key]);
+        }
+        return e;
+    });
+
+    req.responseHeaders['X-Items-Count'] = res.length;
+
+    // Backend can tell size of the whole collection (after filtering)
+    if (req.totalCount !== undefined) {
+        req.responseHeaders['X-Total-Count'] = req.totalCount;
+        req.metadata.totalCount = req.totalCount;
+    }
+
+    return res;
+}
+
+/**
+ * True if request has sort or filter operators which must be applied by
+ * collection code because handler doesn't implement them.
+ */
+function needsGenericQuery(req, nativeQuery) {
+    var query = req.collectionQuery;
+
+    return !nativeQuery && !!query &&
+            (query.sort.length > 0 || query.filters.length > 0);
+}
+
+/**
+ * Read all entries from collection read handler. The handler is asked for
+ * one page after another, so that it never gets bigger limit than for
+ * a regular request and backends with limited page size work too.
+ */
+function readAllEntries(handler, req, done) {
+    var limit = restConfig.collectionMaxPageLimit;
+    var offset = 0;
+    var entries = [];
+    var more = true;
+
+    async.whilst(
+        function() { return more; },
+        function(next) {
+            req.query.offset = offset;
+            req.query.limit = limit;
+            handler(req, function(err, res) {
+                if (err) {
+                    return next(err);
+                }
+                entries = entries.concat(res);
+                offset += limit;
+                // a short page is the last one, handler which ignores
+                // pagination returns all entries at once
+                more = (res.length === limit);
+                next();
+            });
+        },
+        function(err) {
+            done(err, entries);
+        });
+}
+
 /**
  * Wrap user provided collection read handler by standard collection code for
  * pagination support and metadata.
+ *
+ * Sort and filter operators are in req.collectionQuery. If the handler
+ * doesn't implement them (nativeQuery is not set), all entries are read
+ * from it page by page and the operators and pagination are applied here.
  */
-function decorateCollectionRead(handler, key) {
+function decorateCollectionRead(handler, key, nativeQuery) {
 
     var wrapper = function CollectionReadDecorator(req, done) {
+        var generic = needsGenericQuery(req, nativeQuery);
+        var read = generic ? readAllEntries.bind(null, handler) : handler;
+        var fields;
+        var page;
+
         // normalize pagination fields
         if (!req.query.offset || req.query.offset < 0) {
             req.query.offset = 0;
         }
-        if (!req.query.limit || req.query.limit < 1) {
-            req.query.limit = restConfig.collectionDefaultPageLimit;
-        }
-        if (req.query.limit > restConfig.collectionMaxPageLimit) {
-            req.query.limit = restConfig.collectionMaxPageLimit;
-        }
+        normalizeLimit(req);
 
         /*
          * XXX: To determine the presence of the next page, we use
@@ -106,7 +288,19 @@ function decorateCollectionRead(handler, key) {
             req.query.fields.push(key);
         }
 
-        handler(req, function(err, res) {
+        if (generic) {
+            page = {
+                offset: req.query.offset,
+                limit: req.query.limit
+            };
+            // properties used by operators are needed to apply them
+            if (req.query.fields) {
+                fields = req.query.fields;
+                req.query.fields = fields.concat(queryProperties(req));
+            }
+        }
+
+        read(req, function(err, res) {
             var prevOffset;
             var prevLimit;
 
@@ -115,6 +309,18 @@ function decorateCollectionRead(handler, key) {
                 return;
             }
 
+            if (generic) {
+                res = coll.applyCollectionQuery(req, res, key);
+                req.totalCount = res.length;
+                req.query.offset = page.offset;
+                req.query.limit = page.limit;
+                res = res.slice(page.offset, page.offset + page.limit);
+                if (fields) {
+                    req.query.fields = fields;
+                    res = stripFields(res, fields);
+                }
+            }
+
             if (res.length > req.query.limit) {
                 logger.warn(__('%(url)s returned %(real)d entries but only ' +
                     '%(should)d were requested', {
@@ -151,28 +357,350 @@ function decorateCollectionRead(handler, key) {
                 });
             }
 
-            // syntetize href attribute for each returned entry
-            if (req.query.fields && req.query.fields.indexOf('href') === -1) {
-                req.query.fields.push('href'); // href cannot be filtered out
+            done(null, finishPage(req, res, key));
+        });
+    };
+
+    return wrapper;
+}
+
+/**
+ * Wrap user provided collection read handler by code for cursor based
+ * pagination. Handler gets req.cursor with:
+ *
+ *   sortKey   - property which the entries must be sorted by (ascending)
+ *   key       - collection key, the entries with equal sort key must be
+ *               sorted by it (ascending)
+ *   after     - return entries with sort key greater than this value
+ *   afterKey  - or with sort key equal to "after" and key greater than this
+ *   before    - return last entries with sort key lower than this value
+ *   beforeKey - or with sort key equal to "before" and key lower than this
+ *   limit     - max number of entries to return
+ *
+ * At most one of "after" and "before" is set. Key values are undefined if
+ * sort key is the collection key itself. Handler may set req.totalCount
+ * if it knows size of the whole collection. See also coll.fitCursorPage().
+ */
+function decorateCursorCollectionRead(handler, key, sortKey, nativeQuery) {
+
+    var wrapper = function CursorCollectionReadDecorator(req, done) {
+        var cursor = {};
+        var generic = needsGenericQuery(req, nativeQuery);
+        var fields;
+        var limit;
+
+        if (req.collectionQuery && req.collectionQuery.sort.length > 0) {
+            return done(NefError('EBADARG', __('Collection with cursor ' +
+                    'pagination is always sorted by %s', sortKey)));
+        }
+
+        if (req.query.cursor) {
+            try {
+                cursor = decodeCursor(req.query.cursor);
+            } catch (err) {
+                return done(err);
+            }
+        }
+
+        normalizeLimit(req);
+        req.query.offset = 0;
+
+        // one extra element tells us that there is another page
+        req.cursor = {
+            sortKey: sortKey,
+            key: key,
+            after: cursor.a,
+            afterKey: (cursor.a !== undefined) ? cursor.k : undefined,
+            before: cursor.b,
+            beforeKey: (cursor.b !== undefined) ? cursor.k : undefined,
+            limit: req.query.limit + 1
+        };
+
+        // key cannot be filtered out, it is used in href links
+        if (req.query.fields && req.query.fields.indexOf(key) === -1) {
+            req.query.fields.push(key);
+        }
+        fields = req.query.fields;
+
+        // sort key and properties used by operators are needed to build
+        // links and apply the operators, they are stripped afterwards
+        if (fields) {
+            req.query.fields = fields.concat([sortKey]);
+        }
+
+        if (generic) {
+            // get all entries past the cursor and pick the page after
+            // filtering
+            limit = req.cursor.limit;
+            req.cursor.limit = Infinity;
+            if (req.query.fields) {
+                req.query.fields = req.query.fields.concat(
+                        queryProperties(req));
+            }
+        }
+
+        handler(req, function(err, res) {
+            var hasNext = false;
+            var hasPrev = false;
+
+            if (err) {
+                done(err);
+                return;
+            }
+
+            if (generic) {
+                res = coll.applyCollectionQuery(req, res);
+                req.cursor.limit = limit;
+                res = (cursor.b !== undefined) ? res.slice(-limit) :
+                        res.slice(0, limit);
+                // handler counted entries without operators applied
+                delete req.totalCount;
             }
-            res = res.map(function(e) {
-                // be safe and don't modify object passed from handler
-                if (!e.href) {
-                    e = utils.objectCopy(e);
-                    e.href = req.getPath() + '/' + encodeURIComponent(e[key]);
+
+            if (res.length > req.cursor.limit) {
+                logger.warn(__('%(url)s returned %(real)d entries but only ' +
+                    '%(should)d were requested', {
+                        url: req.url,
+                        real: res.length,
+                        should: req.cursor.limit
+                    }));
+                res = (cursor.b !== undefined) ?
+                        res.slice(-req.cursor.limit) :
+                        res.slice(0, req.cursor.limit);
+            }
+
+            if (cursor.b !== undefined) {
+                // we came back from the next page
+                hasNext = true;
+                if (res.length === req.cursor.limit) {
+                    res.shift();
+                    hasPrev = true;
                 }
-                return e;
-            });
+            } else {
+                hasPrev = (cursor.a !== undefined);
+                if (res.length === req.cursor.limit) {
+                    res.pop();
+                    hasNext = true;
+                }
+            }
 
-            req.responseHeaders['X-Items-Count'] = res.length;
+            if (res.length > 0) {
+                if (hasNext) {
+                    req.metadata.links.push({
+                        rel: 'next',
+                        href: buildCursorUrl(req, encodeCursor(
+                                cursorPosition('a', res[res.length - 1])),
+                                req.query.limit)
+                    });
+                }
+                if (hasPrev) {
+                    req.metadata.links.push({
+                        rel: 'prev',
+                        href: buildCursorUrl(req, encodeCursor(
+                                cursorPosition('b', res[0])),
+                                req.query.limit)
+                    });
+                }
+            }
+
+            if (fields) {
+                req.query.fields = fields;
+                res = stripFields(res, fields);
+            }
 
-            done(null, res);
+            done(null, finishPage(req, res, key));
         });
     };
 
+    function cursorPosition(dir, entry) {
+        var data = {};
+
+        data[dir] = entry[sortKey];
+        if (sortKey !== key) {
+            data.k = entry[key];
+        }
+        return data;
+    }
+
     return wrapper;
 }
 
+/*
+ * Compare entries by sort key and then by collection key.
+ */
+function compareCursorPosition(sortValue, keyValue, cmpSortValue,
+                               cmpKeyValue) {
+    if (sortValue < cmpSortValue) {
+        return -1;
+    }
+    if (sortValue > cmpSortValue) {
+        return 1;
+    }
+    if (keyValue === undefined || cmpKeyValue === undefined) {
+        return 0;
+    }
+    if (keyValue < cmpKeyValue) {
+        return -1;
+    }
+    return (keyValue > cmpKeyValue) ? 1 : 0;
+}
+
+/**
+ * Generic implementation of cursor pagination for backends which have
+ * the whole collection in memory. It sorts entries by the sort key and
+ * the collection key, picks the requested page and sets total count.
+ *
+ * @param {Object} req    Request with cursor set by collection code
+ * @param {Array}  objs   All entries of the collection (after filtering)
+ * @returns {Array} Entries of the page
+ */
+coll.fitCursorPage = function(req, objs) {
+    var cursor = req.cursor;
+    var sortKey = cursor.sortKey;
+    var key = (cursor.key !== sortKey) ? cursor.key : undefined;
+
+    req.totalCount = objs.length;
+
+    objs = objs.slice().sort(function(a, b) {
+        return compareCursorPosition(a[sortKey], key && a[key],
+                                     b[sortKey], key && b[key]);
+    });
+
+    if (cursor.after !== undefined) {
+        objs = objs.filter(function(o) {
+            return compareCursorPosition(o[sortKey], key && o[key],
+                    cursor.after, cursor.afterKey) > 0;
+        });
+    } else if (cursor.before !== undefined) {
+        objs = objs.filter(function(o) {
+            return compareCursorPosition(o[sortKey], key && o[key],
+                    cursor.before, cursor.beforeKey) < 0;
+        });
+        return objs.slice(-cursor.limit);
+    }
+    return objs.slice(0, cursor.limit);
+};
+
+/*
+ * Remove properties which were not requested by fields parameter, but
+ * collection code needed them.
+ */
+function stripFields(objs, fields) {
+    return objs.map(function(o) {
+        return utils.copyFields(o, fields);
+    });
+}
+
+/**
+ * Properties referenced by sort and filter operators of the request.
+ */
+function queryProperties(req) {
+    return req.collectionQuery.sort.concat(req.collectionQuery.filters)
+            .map(function(q) {
+                return q.property;
+            });
+}
+
+/**
+ * Compare two property values for sorting. Missing values go last.
+ */
+function compareValues(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === undefined || a === null) {
+        return 1;
+    }
+    if (b === undefined || b === null) {
+        return -1;
+    }
+    return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+/**
+ * Convert "like" pattern to regular expression. Asterisk matches any
+ * sequence of characters, matching is case insensitive.
+ */
+function likeToRegExp(pattern) {
+    return new RegExp('^' + pattern.split('*').map(function(part) {
+        return part.replace(/[.?+^$|(){}\[\]\\\/]/g, '\\$&');
+    }).join('.*') + '$', 'i');
+}
+
+/**
+ * Test value of a property against filter operator.
+ */
+function matchFilter(value, filter) {
+    switch (filter.operator) {
+        case 'eq':
+            return value === filter.value;
+        case 'ne':
+            return value !== filter.value;
+        case 'in':
+            return filter.value.indexOf(value) !== -1;
+        case 'like':
+            return typeof value === 'string' &&
+                    likeToRegExp(filter.value).test(value);
+    }
+
+    if (value === undefined || value === null) {
+        return false;
+    }
+    switch (filter.operator) {
+        case 'gt':
+            return value > filter.value;
+        case 'gte':
+            return value >= filter.value;
+        case 'lt':
+            return value < filter.value;
+        case 'lte':
+            return value <= filter.value;
+    }
+    return false;
+}
+
+/**
+ * Generic implementation of sort and filter operators (see
+ * restConvert.parseCollectionQuery()). Collection code uses it for handlers
+ * which don't implement the operators natively, but handlers which have
+ * the whole collection in memory can use it as well.
+ *
+ * @param {Object} req    Request with collectionQuery
+ * @param {Array}  objs   Entries of the collection
+ * @param {String} [key]  Collection key, entries with equal sort properties
+ *                        are sorted by it (ascending)
+ * @returns {Array} Filtered and sorted entries
+ */
+coll.applyCollectionQuery = function(req, objs, key) {
+    var query = req.collectionQuery;
+
+    if (!query) {
+        return objs;
+    }
+
+    objs = objs.filter(function(o) {
+        return query.filters.every(function(f) {
+            return matchFilter(o[f.property], f);
+        });
+    });
+
+    if (query.sort.length > 0) {
+        objs.sort(function(a, b) {
+            for (var i = 0; i < query.sort.length; i++) {
+                var s = query.sort[i];
+                var cmp = compareValues(a[s.property], b[s.property]);
+
+                if (cmp !== 0) {
+                    return s.descending ? -cmp : cmp;
+                }
+            }
+            return key ? compareValues(a[key], b[key]) : 0;
+        });
+    }
+
+    return objs;
+};
+
 /**
  * Wrap user provided read handler by a code inserting metadata into
  * the request.
@@ -196,7 +724,8 @@ function decorateDetailRead(handler) {
  * into the response.
  */
 function decorateCreate(handler, cdesc) {
-    var wrapper = function createDecorator(req, done, progress, asyncDone) {
+    var wrapper = function createDecorator(req, done, progress, asyncDone,
+                                           onCancel) {
         handler(req, function(err, res) {
             if (err) {
                 done(err);
@@ -212,7 +741,7 @@ function decorateCreate(handler, cdesc) {
                     encodeURIComponent(id);
             req.responseStatus = 201; // Object created
             done(err, res);
-        }, progress, asyncDone);
+        }, progress, asyncDone, onCancel);
     };
 
     return wrapper;
@@ -258,6 +787,12 @@ coll.genCollectionMethods = function(cdesc, validate) {
                 throw err;
             }
         }
+        if (cdesc.sortKey) {
+            assert(cdesc.objectSchema.properties &&
+                    cdesc.objectSchema.properties[cdesc.sortKey],
+                    'Sort key ' + cdesc.sortKey + ' of ' + cdesc.id +
+                    ' is not a property of the object');
+        }
     }
 
     var primitiveSchema = restConvert.primitiveSchema(cdesc.objectSchema);
@@ -333,11 +868,32 @@ coll.genCollectionMethods = function(cdesc, validate) {
             url: filterUrlParams(cdesc.url, primitiveSchema),
             query: utils.extend({}, {
                 additionalProperties: false,
-                properties: restUtils.paginationFieldKeys
+                properties: (cdesc.pagination === 'cursor') ?
+                        utils.extend({
+                            cursor: {
+                                type: 'string',
+                                description: 'Opaque position in ' +
+                                             'the collection taken from ' +
+                                             'next or prev link'
+                            }
+                        }, restUtils.paginationFieldKeys) :
+                        utils.extend({
+                            sort: {
+                                type: 'string',
+                                description: 'Comma separated properties ' +
+                                             'to sort by, "-" prefix ' +
+                                             'means descending order'
+                            }
+                        }, restUtils.paginationFieldKeys)
             }, primitiveSchema, cdesc.querySchema || {})
         },
-        handler: decorateCollectionRead(cdesc.handler ||
-                cdesc.methods.read.handler, cdesc.key),
+        handler: (cdesc.pagination === 'cursor') ?
+                decorateCursorCollectionRead(cdesc.handler ||
+                        cdesc.methods.read.handler, cdesc.key,
+                        cdesc.sortKey || cdesc.key, !!cdesc.nativeQuery) :
+                decorateCollectionRead(cdesc.handler ||
+                        cdesc.methods.read.handler, cdesc.key,
+                        !!cdesc.nativeQuery),
         accessLevel: cdesc.accessLevel,
         parent: parent,
         children: [],
@@ -478,6 +1034,7 @@ coll.genCollectionMethods = function(cdesc, validate) {
             accessLevel: method.accessLevel,
             async: cdesc.asyncMethods || method.async || false,
             deferredAsync: method.deferredAsync || false,
+            phases: method.phases,
             parent: {
                 id: cdesc.id,
                 rel: 'action/create'
@@ -555,6 +1112,7 @@ coll.genCollectionMethods = function(cdesc, validate) {
             async: (action !== 'read') &&
                     cdesc.asyncMethods || method.async || false,
             deferredAsync: method.deferredAsync || false,
+            phases: method.phases,
             parent: {
                 id: entryReadMdesc.id,
                 rel: 'action/' + m
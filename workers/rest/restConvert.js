@@ -80,6 +80,16 @@ var allowedZones = {
     }
 };
 
+// Ordered names of phases of async method. They are reported in job status
+// before handler gets to them.
+var phasesSchema = {
+    type: 'array',
+    required: false,
+    items: {
+        type: 'string'
+    }
+};
+
 // module descriptor
 var moduleDescriptorSchema = {
     type: 'object',
@@ -166,6 +176,7 @@ var handlerDescriptorSchema = {
         deferredAsync: {
             type: 'boolean'
         },
+        phases: phasesSchema,
         noMetadata: {
             type: 'boolean'
         },
@@ -243,6 +254,16 @@ var collectionDescriptorSchema = {
         asyncMethods: {
             type: 'boolean'
         },
+        pagination: {
+            type: 'string',
+            enum: ['offset', 'cursor']
+        },
+        sortKey: {
+            type: 'string'  // sort key for cursors, default is key
+        },
+        nativeQuery: {
+            type: 'boolean' // handler implements sort and filter operators
+        },
         handler: {
             type: 'any'  // optional read collection function
         },
@@ -281,6 +302,7 @@ var collectionMethodDescriptorSchema = {
         deferredAsync: {
             type: 'boolean'
         },
+        phases: phasesSchema,
         advanced: advancedSchema,
         allowedZones: allowedZones,
         handler: {
@@ -499,6 +521,126 @@ convert.validateQueryParams = function(params, schema) {
     }
 };
 
+/**
+ * Filter operators recognized in query of collection read. Operator is
+ * appended to the property name in brackets, i.e. "size[gt]=10".
+ */
+convert.QUERY_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'like', 'in'];
+
+/**
+ * Get type of top-level primitive property of object schema or throw error
+ * if there is no such property.
+ */
+function queryPropertyType(schema, prop) {
+    var def = schema.properties && schema.properties[prop];
+
+    if (!def || ['string', 'integer', 'number', 'boolean']
+            .indexOf(def.type) === -1) {
+        throw convertError(__('Unknown property in query: %s', prop));
+    }
+    return def.type;
+}
+
+/**
+ * Parse one filter operator with its (string) value.
+ */
+function parseQueryFilter(schema, prop, op, val) {
+    var type = queryPropertyType(schema, prop);
+
+    if (convert.QUERY_OPERATORS.indexOf(op) === -1) {
+        throw convertError(__('Unknown filter operator "%(op)s" of ' +
+                '%(prop)s', {
+                    op: op,
+                    prop: prop
+                }));
+    }
+    if (typeof val !== 'string') {
+        throw convertError(__('Invalid value of filter %(prop)s[%(op)s]', {
+            op: op,
+            prop: prop
+        }));
+    }
+    if (op === 'like' && type !== 'string') {
+        throw convertError(__('Operator "like" can be used only with ' +
+                'string property: %s', prop));
+    }
+    if (['gt', 'gte', 'lt', 'lte'].indexOf(op) !== -1 && type === 'boolean') {
+        throw convertError(__('Operator "%(op)s" cannot be used with ' +
+                'boolean property: %(prop)s', {
+                    op: op,
+                    prop: prop
+                }));
+    }
+
+    return {
+        property: prop,
+        operator: op,
+        value: (op === 'in') ? val.split(',').map(function(v) {
+            return convert.fromString(v, type);
+        }) : convert.fromString(val, type)
+    };
+}
+
+/**
+ * Take sort and filter operators out of collection query parameters and
+ * check them against object schema of the collection. The rest of
+ * parameters is left for usual query validation.
+ *
+ * Sort is a comma separated list of properties, property prefixed by "-"
+ * means descending order. Filter operators come either as nested objects
+ * (i.e. {size: {gt: '10'}}) if parsed by query parser or as "size[gt]" keys.
+ * If the collection has a property called "sort", the parameter filters
+ * the property as usual and sort operator is not available.
+ *
+ * @param {Object} params  Query parameters (modified in place)
+ * @param {Object} schema  Object schema of the collection
+ * @returns {Object} {sort: [{property, descending}],
+ *                    filters: [{property, operator, value}]}
+ */
+convert.parseCollectionQuery = function(params, schema) {
+    var res = {
+        sort: [],
+        filters: []
+    };
+
+    var sortProperty = !!(schema.properties && schema.properties.sort);
+
+    for (var p in params) {
+        var val = params[p];
+        var match = p.match(/^([^\[\]]+)\[([^\[\]]+)\]$/);
+
+        if (p === 'sort' && !sortProperty) {
+            if (typeof val !== 'string') {
+                throw convertError(__('Invalid sort parameter'));
+            }
+            res.sort = val.split(',').filter(function(s) {
+                return s !== '';
+            }).map(function(s) {
+                var desc = (s[0] === '-');
+                var prop = (desc || s[0] === '+') ? s.substr(1) : s;
+
+                queryPropertyType(schema, prop);
+                return {
+                    property: prop,
+                    descending: desc
+                };
+            });
+        } else if (match) {
+            res.filters.push(parseQueryFilter(schema, match[1], match[2],
+                    val));
+        } else if (val && typeof val === 'object' && !Array.isArray(val)) {
+            for (var op in val) {
+                res.filters.push(parseQueryFilter(schema, p, op, val[op]));
+            }
+        } else {
+            continue;
+        }
+        delete params[p];
+    }
+
+    return res;
+};
+
 /**
  * Validate reply payload according to schema (take into account that
  * fields could have been filtered).
@@ -4,16 +4,33 @@
  * All rights reserved.
  */
 
+var util      = require('util');
+var async     = require('async');
+var EventEmitter = require('events').EventEmitter;
 var uuidGen   = require('node-uuid');
 var nef       = require('nef');
 var utils     = require('nef/utils');
 var restUtils = require('nef/restUtils');
+var logger    = require('nef/logger');
+var worker    = require('nef/baseWorker');
+var ObjectDb  = require('nef/objectDb');
 var NefError  = require('nef/error').NefError;
 
+var schemas   = require('./restSchemas');
+
 var restJobManager = {}; // exported stuff
-var asyncJobs = {}; // Temporary solution, it will go to DB
+var asyncJobs = {}; // in-memory index of jobs mirrored to the DB
 var TIMEOUT_NOT_RESPONDED = 60 * 60; // 1 hour
 var TIMEOUT_RESPONDED = 5 * 60; // 5 minutes
+var STREAM_KEEPALIVE = 15; // seconds between SSE keep-alive comments
+
+var db = new ObjectDb(worker.dbDir, 'inmemory', {
+    'jobs': {
+        autoCommit: true,
+        primaryKey: 'id',
+        objectSchema: schemas.storedJob
+    }
+});
 
 // Fields needed to be backed up from original request when conserving its state
 var requestFieldsCopy = [
@@ -42,37 +59,285 @@ var requestFieldsCopy = [
  * Long operation status class
  *
  * @param {Object}   req       Original request (request which got interrupted
- *                             by 202)
+ *                             by 202), null if the job is restored from DB
  * @param {Function} deleteCb  Callback used to remove route in REST server
  *                             when job is deleted.
+ * @param {Object}   [opts]    Job options
+ * @param {String[]} [opts.phases] Ordered names of phases the job goes
+ *                             through
+ * @param {Object}   [stored]  Job data loaded from DB
+ *
+ * Emits 'progress' whenever status of the job changes and 'done' when
+ * the job is finished.
  */
-function AsyncJob(req, deleteCb) {
+function AsyncJob(req, deleteCb, opts, stored) {
     var self = this;
 
-    self.id = uuidGen.v1();
+    EventEmitter.call(self);
+
+    if (stored) {
+        self.id = stored.id;
+        self.origUrl = stored.originalUrl;
+        self.origMethod = stored.originalMethod;
+        self.req = null;
+        self.progress = stored.progress || 0;
+        self.total = stored.total || null;
+        self.phases = stored.phases || [];
+        self.startTime = new Date(stored.startTime);
+        self.finishTime = stored.finishTime ?
+                new Date(stored.finishTime) : null;
+        self.respondedTime = stored.respondedTime ?
+                new Date(stored.respondedTime) : null;
+        self.isDone = stored.done;
+        self.cancelled = stored.cancelled || false;
+        self.description = stored.description || null;
+        self.version = stored.version;
+        self.jobResult = stored.result;
+        self.responseStatus = stored.responseStatus || null;
+        if (stored.error) {
+            self.jobError = NefError(stored.error.code, stored.error.message);
+            self.jobError.logged = true;
+        }
+    } else {
+        self.id = uuidGen.v1();
+        self.origUrl = req.getHref();
+        self.origMethod = req.method;
+        self.req = req;
+        self.progress = 0;
+        self.total = null;
+        self.phases = ((opts && opts.phases) || []).map(function(name) {
+            return {
+                name: name,
+                status: 'pending'
+            };
+        });
+        self.startTime = new Date();
+        self.finishTime = null;
+        self.respondedTime = null;
+        self.isDone = false;
+        self.cancelled = false;
+        self.description = null;
+        self.version = req.apiVersion;
+        self.responseStatus = null;
+    }
+
     self.url = '/jobStatus/' + self.id;
-    self.origUrl = req.getHref();
-    self.req = req;
-    self.progress = 0;
-    self.startTime = new Date();
-    self.finishTime = null;
-    self.isDone = false;
+    self.restored = !!stored;
+    self.rateStartTime = self.startTime;
+    self.rateStartProgress = 0;
     self.respondedTimer = null;
     self.notRespondedTimer = null;
     self.jobDeletedCallback = deleteCb;
-    self.description = null;
-    self.version = req.apiVersion;
+    self.cancelHandler = null;
+    self.stored = !!stored;
+    self.saving = false;
+    self.saveAgain = false;
+
+    /**
+     * Update progress of the job. Processed and total counters are relative
+     * to the current phase, if the job has phases.
+     *
+     * @param {Number} [processed]   Number of processed items, if undefined
+     *                               then counter is incremented
+     * @param {String} [description] Brief summary for progress
+     * @param {Number} [total]       Total number of items to process
+     * @param {String} [phase]       Name of the phase the job is in
+     */
+    self.setProgress = function(processed, description, total, phase) {
+        if (phase && (!self.currentPhase() ||
+                      self.currentPhase().name !== phase)) {
+            self.enterPhase(phase);
+        }
 
-    self.setProgress = function(processed, description, total) {
         if (processed === undefined) {
             self.progress++;
         } else {
             self.progress = processed;
         }
 
+        if (total !== undefined) {
+            self.total = total;
+        }
+
         if (description) {
             self.description = description;
         }
+        self.save();
+        self.emit('progress');
+    };
+
+    /**
+     * Get the phase which is running now.
+     */
+    self.currentPhase = function() {
+        return self.phases.find(function(p) {
+            return p.status === 'running';
+        });
+    };
+
+    /**
+     * Finish current phase and start the new one. Phases which were not
+     * declared upfront are appended to the list.
+     */
+    self.enterPhase = function(name) {
+        var now = new Date();
+
+        self.finishPhase('done');
+
+        var phase = self.phases.find(function(p) {
+            return p.name === name;
+        });
+        if (!phase) {
+            phase = {
+                name: name
+            };
+            self.phases.push(phase);
+        }
+        phase.status = 'running';
+        phase.startTime = now.toISOString();
+
+        // counters and rate are measured per phase
+        self.progress = 0;
+        self.total = null;
+        self.rateStartTime = now;
+        self.rateStartProgress = 0;
+    };
+
+    /**
+     * Mark current phase (if any) with given final status.
+     */
+    self.finishPhase = function(status) {
+        var phase = self.currentPhase();
+
+        if (phase) {
+            phase.status = status;
+            phase.finishTime = new Date().toISOString();
+        }
+    };
+
+    /**
+     * Get percentage of completed work in the current phase.
+     */
+    self.getPercent = function() {
+        if (!self.total) {
+            return undefined;
+        }
+        return Math.min(100, Math.floor(100 * self.progress / self.total));
+    };
+
+    /**
+     * Estimate number of seconds left till the end of the current phase
+     * from the rate observed so far.
+     */
+    self.getEta = function() {
+        var processed = self.progress - self.rateStartProgress;
+        var elapsed = Date.now() - self.rateStartTime.getTime();
+
+        if (!self.total || processed <= 0 || elapsed <= 0) {
+            return undefined;
+        }
+        return Math.max(0, Math.round(
+                (self.total - self.progress) * elapsed / processed / 1000));
+    };
+
+    /**
+     * Get representation of the async job as it is stored in DB.
+     */
+    self.toObject = function() {
+        return {
+            id: self.id,
+            version: self.version.toString(),
+            originalMethod: self.origMethod,
+            originalUrl: self.origUrl,
+            progress: self.progress,
+            total: self.total,
+            phases: self.phases,
+            description: self.description,
+            startTime: self.startTime.toISOString(),
+            finishTime: self.finishTime ? self.finishTime.toISOString() : null,
+            respondedTime: self.respondedTime ?
+                    self.respondedTime.toISOString() : null,
+            done: self.isDone,
+            cancelled: self.cancelled,
+            result: self.jobResult,
+            error: self.jobError ? self.jobError.serialize() : null,
+            responseStatus: self.responseStatus
+        };
+    };
+
+    /**
+     * Write current state of the job to DB. Concurrent saves are coalesced,
+     * so that the last state always gets written. Errors are only logged,
+     * the job itself keeps working from memory.
+     */
+    self.save = function(done) {
+        done = done || function() {};
+
+        if (self.saving) {
+            self.saveAgain = true;
+            return done();
+        }
+
+        function saved(err) {
+            self.saving = false;
+            if (err) {
+                logger.error(__('Failed to save async job %s: %s',
+                                self.id, err.toString()));
+            }
+            if (self.saveAgain) {
+                self.saveAgain = false;
+                return self.save(done);
+            }
+            done(err);
+        }
+
+        self.saving = true;
+        if (self.stored) {
+            db.jobs.updateObject(self.id, {
+                $set: self.toObject()
+            }, saved);
+        } else {
+            db.jobs.createObject(self.toObject(), function(err) {
+                self.stored = !err;
+                saved(err);
+            });
+        }
+    };
+
+    /**
+     * Forget about the job and remove its route from REST server.
+     */
+    self.remove = function() {
+        delete asyncJobs[self.id];
+        db.jobs.deleteObject(self.id, function(err) {
+            if (err) {
+                logger.error(__('Failed to remove async job %s: %s',
+                                self.id, err.toString()));
+            }
+        });
+        if (self.jobDeletedCallback) {
+            self.jobDeletedCallback(self);
+        }
+    };
+
+    /**
+     * Schedule removal of the finished job, the timeout depends on whether
+     * the client has seen the result or not.
+     */
+    self.scheduleRemoval = function() {
+        var timeout;
+
+        if (self.respondedTime) {
+            timeout = self.respondedTime.getTime() +
+                    1000 * TIMEOUT_RESPONDED - Date.now();
+            self.respondedTimer = setTimeout(self.remove,
+                                             Math.max(timeout, 0));
+        } else {
+            timeout = self.finishTime.getTime() +
+                    1000 * TIMEOUT_NOT_RESPONDED - Date.now();
+            self.notRespondedTimer = setTimeout(self.remove,
+                                                Math.max(timeout, 0));
+        }
     };
 
     /**
@@ -82,13 +347,29 @@ function AsyncJob(req, deleteCb) {
         var res = {
             jobId: self.id,
             progress: self.progress,
-            originalMethod: self.req.method,
+            originalMethod: self.origMethod,
             originalUrl: self.origUrl,
             startTime: self.startTime.toISOString(),
             done: self.isDone,
+            cancelled: self.cancelled,
         };
         if (self.isDone) {
             res.finishTime = self.finishTime.toISOString();
+        } else {
+            var eta = self.getEta();
+            if (eta !== undefined) {
+                res.eta = eta;
+            }
+        }
+        if (self.total) {
+            res.total = self.total;
+            res.percent = self.getPercent();
+        }
+        if (self.phases.length > 0) {
+            res.phases = self.phases;
+            if (self.currentPhase()) {
+                res.phase = self.currentPhase().name;
+            }
         }
         if (self.description) {
             res.description = self.description;
@@ -135,6 +416,57 @@ function AsyncJob(req, deleteCb) {
         };
     };
 
+    /**
+     * Generate method descriptor for cancelling this job.
+     */
+    self.genCancelMdesc = function() {
+        return {
+            id: 'cancelJob' + self.id,
+            version: self.version.toString(),
+            action: 'delete',
+            url: self.url,
+            description: 'Cancel async job ' + self.id,
+            handler: self.cancelRequestHandler,
+            schemas: {
+                output: statusSchema
+            },
+            parent: {},
+            children: [],
+            advanced: {}
+        };
+    };
+
+    /**
+     * Ask backend handler to stop the job. The job remains running until
+     * the handler finishes.
+     */
+    self.cancel = function(done) {
+        if (self.isDone) {
+            return done(NefError('EINVAL',
+                    __('Job %s is already finished', self.id)));
+        }
+        if (!self.cancelHandler) {
+            return done(NefError('ENOTSUP',
+                    __('Job %s (%s %s) does not support cancellation',
+                       self.id, self.origMethod, self.origUrl)));
+        }
+        if (self.cancelled) {
+            return done();
+        }
+
+        // set in advance, handler may finish before confirming the cancel
+        self.cancelled = true;
+        self.cancelHandler(function(err) {
+            if (err) {
+                self.cancelled = false;
+                return done(err);
+            }
+            self.save();
+            self.emit('progress');
+            done();
+        });
+    };
+
     /**
      * Called when original request ends with 202 status.
      */
@@ -176,6 +508,99 @@ function AsyncJob(req, deleteCb) {
         done(null, self.represent());
     };
 
+    /**
+     * Cancel the job and reply with its status.
+     */
+    self.cancelRequestHandler = function(req, done) {
+        self.cancel(function(err) {
+            if (err) {
+                if (err.code === 'ENOTSUP') {
+                    req.responseStatus = 405; // Method not allowed
+                }
+                return done(err);
+            }
+            if (self.isDone) {
+                // handler has stopped immediately
+                return done(null, self.represent());
+            }
+            self.statusHandler(req, done);
+        });
+    };
+
+    /**
+     * Stream status of the job as server-sent events if client asks for
+     * text/event-stream. It is a raw restify handler put in front of status
+     * and result handlers. Events are:
+     *
+     *   status - representation of the job (same as status GET returns)
+     *   done   - {statusCode, result} or {statusCode, error} when finished
+     */
+    self.streamHandler = function jobStreamHandler(req, res, next) {
+        var accept = req.headers.accept || '';
+        var keepalive;
+
+        if (accept.indexOf('text/event-stream') === -1) {
+            return next();
+        }
+
+        // compressed stream would be buffered
+        if (typeof res.handledGzip === 'function') {
+            res.handledGzip();
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        function send(event, data) {
+            res.write('event: ' + event + '\n' +
+                      'data: ' + JSON.stringify(data) + '\n\n');
+        }
+
+        function onProgress() {
+            send('status', self.represent());
+        }
+
+        function onDone() {
+            var data = {
+                statusCode: self.responseStatus || 200
+            };
+
+            if (self.jobError) {
+                data.error = self.jobError.serialize();
+            } else {
+                data.result = self.jobResult;
+            }
+            send('status', self.represent());
+            send('done', data);
+            cleanup();
+            res.end();
+        }
+
+        function cleanup() {
+            clearInterval(keepalive);
+            self.removeListener('progress', onProgress);
+            self.removeListener('done', onDone);
+        }
+
+        if (self.isDone) {
+            onDone();
+            return next(false);
+        }
+
+        onProgress();
+        self.on('progress', onProgress);
+        self.on('done', onDone);
+        req.once('close', cleanup);
+        keepalive = setInterval(function() {
+            res.write(': keepalive\n\n');
+        }, 1000 * STREAM_KEEPALIVE);
+
+        next(false);
+    };
+
     /**
      * Restores context of the request interrupted by 202.
      */
@@ -184,20 +609,25 @@ function AsyncJob(req, deleteCb) {
             return done(NefError('ENOENT', __('No such job')));
         }
 
-        // Restore the original request
-        requestFieldsCopy.forEach(function(field) {
-            req[field] = self.req[field];
-        });
+        if (self.req) {
+            // Restore the original request
+            requestFieldsCopy.forEach(function(field) {
+                req[field] = self.req[field];
+            });
+        } else if (self.responseStatus) {
+            // The original request did not survive restart, only the reply
+            // status is known
+            req.responseStatus = self.responseStatus;
+        }
 
         if (self.notRespondedTimer) {
             clearTimeout(self.notRespondedTimer);
             self.notRespondedTimer = null;
         }
         if (!self.respondedTimer) {
-            self.respondedTimer = setTimeout(function() {
-                delete asyncJobs[self.id];
-                self.jobDeletedCallback(self);
-            }, 1000 * TIMEOUT_RESPONDED);
+            self.respondedTime = new Date();
+            self.scheduleRemoval();
+            self.save();
         }
         done(self.jobError, self.jobResult);
     };
@@ -210,15 +640,47 @@ function AsyncJob(req, deleteCb) {
         self.finishTime = new Date();
         self.jobError = err;
         self.jobResult = res;
+        if (err) {
+            self.finishPhase(self.cancelled ? 'cancelled' : 'failed');
+        } else {
+            self.finishPhase('done');
+        }
+        self.responseStatus = self.req.responseStatus || null;
 
-        self.notRespondedTimer = setTimeout(function() {
-            delete asyncJobs[self.id];
-            self.jobDeletedCallback(self);
-        }, 1000 * TIMEOUT_NOT_RESPONDED);
+        self.save();
+        self.scheduleRemoval();
+        self.emit('done');
+    };
+
+    /**
+     * Called for job loaded from DB on startup. Jobs which were running
+     * at the time of restart can't be finished anymore, so they are failed.
+     */
+    self.restore = function(done) {
+        if (self.isDone) {
+            self.scheduleRemoval();
+            return done();
+        }
+
+        self.isDone = true;
+        self.finishTime = new Date();
+        self.finishPhase('failed');
+        self.jobError = NefError('EINTR',
+                __('Job was interrupted by restart of REST server'));
+        self.jobError.logged = true;
+        self.responseStatus = 500;
+
+        self.scheduleRemoval();
+
+        // save errors are logged, the job is kept in memory anyway
+        self.save(function() {
+            done();
+        });
     };
 
     return self;
 }
+util.inherits(AsyncJob, EventEmitter);
 
 /**
  * Read collection with pagination support.
@@ -235,15 +697,123 @@ function collectionReadHandler(req, done) {
     done(null, objs);
 }
 
+/**
+ * Open job DB and load jobs stored by previous instance of REST server.
+ *
+ * @param {Function} deleteCb  Callback used to remove route of restored job
+ *                             in REST server when job is deleted.
+ * @param {Function} done      Completion callback.
+ */
+restJobManager.init = function(deleteCb, done) {
+    async.series([
+        function(next) {
+            db.open({
+                createDir: true
+            }, next);
+        },
+        function(next) {
+            var stored;
+
+            try {
+                stored = db.jobs.find({});
+            } catch (err) {
+                return next(err);
+            }
+
+            async.forEachSeries(stored, function(data, next) {
+                var job = new AsyncJob(null, deleteCb, {}, data);
+                asyncJobs[job.id] = job;
+                if (!job.isDone) {
+                    logger.warn(__('Async job %s (%s %s) was interrupted ' +
+                                   'by restart', job.id, job.origMethod,
+                                   job.origUrl));
+                }
+                job.restore(next);
+            }, next);
+        }
+    ], function(err) {
+        done(err);
+    });
+};
+
+/**
+ * Close job DB.
+ */
+restJobManager.fini = function(done) {
+    db.close(done);
+};
+
+/**
+ * Get list of jobs restored from DB, which are still kept.
+ */
+restJobManager.getRestoredJobs = function() {
+    return Object.keys(asyncJobs).map(function(id) {
+        return asyncJobs[id];
+    }).filter(function(job) {
+        return job.restored;
+    });
+};
+
+/**
+ * Get number of jobs which are running and which are done.
+ */
+restJobManager.getJobCounts = function() {
+    var res = {
+        running: 0,
+        done: 0
+    };
+
+    for (var id in asyncJobs) {
+        res[asyncJobs[id].isDone ? 'done' : 'running']++;
+    }
+    return res;
+};
+
 /**
  * Create a new async job.
+ *
+ * @param {Object}   req       Original request
+ * @param {Function} deleteCb  Callback called when job is deleted
+ * @param {Object}   [opts]    Job options (see AsyncJob)
  */
-restJobManager.createAsyncJob = function(req, deleteCb) {
-    var result = new AsyncJob(req, deleteCb);
+restJobManager.createAsyncJob = function(req, deleteCb, opts) {
+    var result = new AsyncJob(req, deleteCb, opts);
     asyncJobs[result.id] = result;
+    result.save();
     return result;
 };
 
+/*
+ * Description of job phase.
+ */
+var phaseSchema = {
+    type: 'object',
+    properties: {
+        name: {
+            type: 'string',
+            description: 'Name of the phase',
+            required: true
+        },
+        status: {
+            type: 'string',
+            enum: ['pending', 'running', 'done', 'failed', 'cancelled'],
+            description: 'State of the phase',
+            required: true
+        },
+        startTime: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Time when the phase started'
+        },
+        finishTime: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Time when the phase finished'
+        }
+    },
+    additionalProperties: false
+};
+
 /*
  * Description of status object.
  */
@@ -255,10 +825,34 @@ var statusSchema = {
             description: 'ID of job status',
             required: true
         },
-        // TODO: design progress information better (ETA, percents, etc.)
         progress: {
             type: 'integer',
-            description: 'Opaque progress value (the higher the better)'
+            description: 'Number of processed items in the current phase ' +
+                         '(opaque value if total is not known)'
+        },
+        total: {
+            type: 'integer',
+            description: 'Total number of items to process in the current phase'
+        },
+        percent: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 100,
+            description: 'Percentage of completed work in the current phase'
+        },
+        eta: {
+            type: 'integer',
+            description: 'Estimated number of seconds till the end of ' +
+                         'the current phase'
+        },
+        phase: {
+            type: 'string',
+            description: 'Name of the current phase'
+        },
+        phases: {
+            type: 'array',
+            description: 'Ordered list of phases of the job',
+            items: phaseSchema
         },
         originalMethod: {
             type: 'string',
@@ -287,6 +881,11 @@ var statusSchema = {
             description: 'False if the job is in progress. True if done.',
             required: true
         },
+        cancelled: {
+            type: 'boolean',
+            description: 'True if client asked to cancel the job and ' +
+                         'the job accepted the request'
+        },
         description: {
             type: 'string',
             description: 'Brief summary for progress',
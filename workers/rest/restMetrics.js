@@ -0,0 +1,175 @@
+/**
+ * Plugin to our REST server exporting metrics of served requests in
+ * Prometheus text format. Metrics are kept in memory of REST worker and
+ * they are reset when the worker restarts.
+ */
+
+var jobManager = require('./restJobManager');
+
+// Upper bounds of latency histogram buckets in seconds
+var LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5,
+                       10, 30, 60];
+
+// Methods of async jobs have ID of the job appended to their IDs
+var JOB_METHOD_RE = /^(getJobStatus|getJobResult|cancelJob)[0-9a-f-]{36}$/;
+
+// Request counters indexed by method, version and status
+var requests = {};
+// Latency histograms indexed by method and version
+var latencies = {};
+
+/**
+ * Escape value of label as required by the text format.
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\')
+                        .replace(/"/g, '\\"')
+                        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Format one sample line.
+ */
+function sample(name, labels, value) {
+    var pairs = Object.keys(labels).map(function(l) {
+        return l + '="' + escapeLabel(labels[l]) + '"';
+    });
+
+    return name + (pairs.length ? '{' + pairs.join(',') + '}' : '') +
+           ' ' + value;
+}
+
+/**
+ * Account finished request. Method ID is set on request by the REST server,
+ * requests which didn't match any method are accounted as "unknown".
+ * Methods of all async jobs are accounted under one name, otherwise each
+ * job would add its own label.
+ */
+function observe(req, res) {
+    var method = req.methodId || 'unknown';
+    var match = JOB_METHOD_RE.exec(method);
+
+    if (match) {
+        method = match[1];
+    }
+    var version = req.apiVersion ? req.apiVersion.toString() : 'unknown';
+    var duration = (Date.now() - req.time()) / 1000;
+    var key = [method, version, res.statusCode].join(' ');
+    var hkey = [method, version].join(' ');
+
+    if (!requests[key]) {
+        requests[key] = {
+            method: method,
+            version: version,
+            status: res.statusCode,
+            count: 0
+        };
+    }
+    requests[key].count++;
+
+    if (!latencies[hkey]) {
+        latencies[hkey] = {
+            method: method,
+            version: version,
+            buckets: LATENCY_BUCKETS.map(function() {
+                return 0;
+            }),
+            sum: 0,
+            count: 0
+        };
+    }
+
+    var hist = latencies[hkey];
+    LATENCY_BUCKETS.forEach(function(le, i) {
+        if (duration <= le) {
+            hist.buckets[i]++;
+        }
+    });
+    hist.sum += duration;
+    hist.count++;
+}
+
+/**
+ * Generate the whole metrics page.
+ */
+function generateMetrics(restServer) {
+    var lines = [];
+
+    lines.push('# HELP nef_rest_requests_total Number of served requests');
+    lines.push('# TYPE nef_rest_requests_total counter');
+    Object.keys(requests).sort().forEach(function(key) {
+        var ent = requests[key];
+        lines.push(sample('nef_rest_requests_total', {
+            method: ent.method,
+            version: ent.version,
+            status: ent.status
+        }, ent.count));
+    });
+
+    lines.push('# HELP nef_rest_request_duration_seconds Latency of requests');
+    lines.push('# TYPE nef_rest_request_duration_seconds histogram');
+    Object.keys(latencies).sort().forEach(function(key) {
+        var hist = latencies[key];
+        var labels = {
+            method: hist.method,
+            version: hist.version
+        };
+
+        LATENCY_BUCKETS.forEach(function(le, i) {
+            lines.push(sample('nef_rest_request_duration_seconds_bucket', {
+                method: hist.method,
+                version: hist.version,
+                le: le
+            }, hist.buckets[i]));
+        });
+        lines.push(sample('nef_rest_request_duration_seconds_bucket', {
+            method: hist.method,
+            version: hist.version,
+            le: '+Inf'
+        }, hist.count));
+        lines.push(sample('nef_rest_request_duration_seconds_sum', labels,
+                          hist.sum));
+        lines.push(sample('nef_rest_request_duration_seconds_count', labels,
+                          hist.count));
+    });
+
+    var jobs = jobManager.getJobCounts();
+    lines.push('# HELP nef_rest_async_jobs Number of async jobs');
+    lines.push('# TYPE nef_rest_async_jobs gauge');
+    Object.keys(jobs).forEach(function(state) {
+        lines.push(sample('nef_rest_async_jobs', {
+            state: state
+        }, jobs[state]));
+    });
+
+    lines.push('# HELP nef_rest_instance_up Whether REST instance listens');
+    lines.push('# TYPE nef_rest_instance_up gauge');
+    Object.keys(restServer.instances).sort().forEach(function(id) {
+        var conf = restServer.instances[id];
+        lines.push(sample('nef_rest_instance_up', {
+            instance: id,
+            address: conf.address,
+            port: conf.port,
+            https: !!conf.https
+        }, restServer.runningInstances[id] ? 1 : 0));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports.observe = observe;
+
+/**
+ * Register metrics URL.
+ */
+module.exports.register = function registerMetrics(server, path, restServer) {
+
+    server.get(path, function(req, res) {
+        var body = generateMetrics(restServer);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/plain; version=0.0.4'
+        });
+        res.end(body);
+    });
+};
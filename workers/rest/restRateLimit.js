@@ -0,0 +1,201 @@
+/**
+ * @fileOverview Token bucket rate limiting of REST requests.
+ *
+ * Every client has a bucket of tokens which is refilled with configured rate
+ * up to configured burst size. Each request takes one token from the bucket
+ * of the client and one from the client's bucket of the method if the method
+ * has its own limit. Request which finds any of the buckets empty is rejected
+ * with 429 status and no token is taken.
+ *
+ * Clients are identified by API key, user name or remote address (in this
+ * order). Connections from loopback addresses (127.0.0.0/8, ::1 and IPv4
+ * mapped 127.x.x.x) are never limited, because they come from NEF itself.
+ *
+ * Copyright (C) 2016 Nexenta Systems, Inc
+ * All rights reserved.
+ */
+
+var NefError = require('nef/error').NefError;
+
+var CLEANUP_INTERVAL = 60; // seconds
+var LOOPBACK_RE = /^(::ffff:)?127\.|^::1$/;
+
+/**
+ * Bucket of tokens for one client (and method).
+ */
+function TokenBucket(limit) {
+    this.rate = limit.rate;
+    this.burst = limit.burst || limit.rate;
+    this.tokens = this.burst;
+    this.last = Date.now();
+}
+
+/**
+ * Add tokens accumulated since the last call.
+ */
+TokenBucket.prototype.refill = function(limit) {
+    var now = Date.now();
+
+    // limits could have been reconfigured meanwhile
+    this.rate = limit.rate;
+    this.burst = limit.burst || limit.rate;
+
+    this.tokens = Math.min(this.burst,
+            this.tokens + (now - this.last) * this.rate / 1000);
+    this.last = now;
+};
+
+/**
+ * Number of seconds till the next token is available.
+ */
+TokenBucket.prototype.waitTime = function() {
+    if (this.tokens >= 1) {
+        return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.rate);
+};
+
+/**
+ * Bucket which got full is the same as no bucket at all.
+ */
+TokenBucket.prototype.isFull = function() {
+    return this.tokens >= this.burst;
+};
+
+/**
+ * Rate limiter for REST server.
+ *
+ * @param {Function} getLimits  Returns current limits configuration:
+ *     {
+ *         enabled: true,
+ *         default: {rate: 10, burst: 20},
+ *         accessLevels: {viewer: {rate: 5}, ...},
+ *         methods: {<method id>: {rate: 1, burst: 1}, ...}
+ *     }
+ */
+function RateLimiter(getLimits) {
+    this.getLimits = getLimits;
+    this.buckets = {};
+    this.cleanupTimer = setInterval(this.cleanup.bind(this),
+                                    1000 * CLEANUP_INTERVAL);
+    this.cleanupTimer.unref();
+}
+
+/**
+ * Get key identifying the client. API key and user are filled in
+ * by apiKeys and auth plugins.
+ */
+RateLimiter.prototype.clientKey = function(req) {
+    if (req.apiKey) {
+        return 'key:' + (req.apiKey.id || req.apiKey);
+    }
+    if (req.user && req.user.username) {
+        return 'user:' + req.user.username;
+    }
+    return 'ip:' + req.connection.remoteAddress;
+};
+
+/**
+ * Find limit for the client. Limit of access level of the user takes
+ * precedence over default limit.
+ */
+RateLimiter.prototype.clientLimit = function(req, limits) {
+    var level = (req.apiKey && req.apiKey.accessLevel) ||
+                (req.user && req.user.accessLevel);
+
+    if (level && limits.accessLevels && limits.accessLevels[level]) {
+        return limits.accessLevels[level];
+    }
+    return limits.default;
+};
+
+/**
+ * Get refilled bucket, create the bucket if needed.
+ */
+RateLimiter.prototype.getBucket = function(key, limit) {
+    var bucket = this.buckets[key];
+
+    if (!bucket) {
+        bucket = this.buckets[key] = new TokenBucket(limit);
+    } else {
+        bucket.refill(limit);
+    }
+    return bucket;
+};
+
+/**
+ * Check the request against limits.
+ *
+ * @param {Object} req    Request
+ * @param {Object} mdesc  Method descriptor of requested method
+ * @returns {Number} 0 if the request is allowed, otherwise number of seconds
+ *                   the client should wait
+ */
+RateLimiter.prototype.check = function(req, mdesc) {
+    var limits = this.getLimits() || {};
+    var wait = 0;
+
+    if (!limits.enabled || LOOPBACK_RE.test(req.connection.remoteAddress)) {
+        return 0;
+    }
+
+    var client = this.clientKey(req);
+    var clientLimit = this.clientLimit(req, limits);
+    var methodLimit = limits.methods && limits.methods[mdesc.id];
+    var buckets = [];
+
+    if (methodLimit) {
+        buckets.push(this.getBucket(client + ':' + mdesc.id, methodLimit));
+    }
+    if (clientLimit) {
+        buckets.push(this.getBucket(client, clientLimit));
+    }
+
+    // take tokens only if all buckets have them
+    buckets.forEach(function(bucket) {
+        wait = Math.max(wait, bucket.waitTime());
+    });
+    if (wait === 0) {
+        buckets.forEach(function(bucket) {
+            bucket.tokens--;
+        });
+    }
+    return wait;
+};
+
+/**
+ * Return restify handler which rejects requests over the limit.
+ */
+RateLimiter.prototype.handler = function(mdesc, sendError) {
+    var self = this;
+
+    return function rateLimit(req, res, next) {
+        var wait = self.check(req, mdesc);
+
+        if (wait > 0) {
+            res.setHeader('Retry-After', wait);
+            req.responseStatus = 429; // Too many requests
+            sendError(req, res, NefError('EAGAIN',
+                    __('Too many requests, retry in %d seconds', wait)));
+            return next(false);
+        }
+        next();
+    };
+};
+
+/**
+ * Forget buckets of clients which didn't come for a while.
+ */
+RateLimiter.prototype.cleanup = function() {
+    for (var key in this.buckets) {
+        var bucket = this.buckets[key];
+
+        bucket.refill(bucket);
+        if (bucket.isFull()) {
+            delete this.buckets[key];
+        }
+    }
+};
+
+module.exports.TokenBucket = TokenBucket;
+module.exports.RateLimiter = RateLimiter;
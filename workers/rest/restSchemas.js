@@ -40,4 +40,98 @@ schemas.restUrl = {
     additionalProperties: false
 };
 
+schemas.rateLimit = {
+    type: 'object',
+    description: 'Token bucket limit of request rate',
+    additionalProperties: false,
+    properties: {
+        rate: {
+            type: 'number',
+            description: 'Number of requests per second',
+            minimum: 0,
+            exclusiveMinimum: true,
+            required: true
+        },
+        burst: {
+            type: 'integer',
+            description: 'Maximum number of requests in a burst ' +
+                         '(defaults to rate)',
+            minimum: 1
+        }
+    }
+};
+
+schemas.storedJob = {
+    type: 'object',
+    description: 'State of asynchronous REST job kept in the database',
+    properties: {
+        id: {
+            type: 'string',
+            required: true
+        },
+        version: {
+            type: 'string',
+            description: 'API version of the original request',
+            required: true
+        },
+        originalMethod: {
+            type: 'string',
+            required: true
+        },
+        originalUrl: {
+            type: 'string',
+            required: true
+        },
+        progress: {
+            type: 'integer'
+        },
+        total: {
+            type: ['integer', 'null']
+        },
+        phases: {
+            type: 'array',
+            items: {
+                type: 'object'
+            }
+        },
+        description: {
+            type: ['string', 'null']
+        },
+        startTime: {
+            type: 'string',
+            format: 'date-time',
+            required: true
+        },
+        finishTime: {
+            type: ['string', 'null'],
+            format: 'date-time'
+        },
+        respondedTime: {
+            type: ['string', 'null'],
+            format: 'date-time',
+            description: 'Time when result was retrieved by client for ' +
+                         'the first time'
+        },
+        done: {
+            type: 'boolean',
+            required: true
+        },
+        cancelled: {
+            type: 'boolean'
+        },
+        result: {
+            description: 'Result returned by the handler'
+        },
+        error: {
+            type: ['object', 'null'],
+            description: 'Serialized NefError returned by the handler'
+        },
+        responseStatus: {
+            type: ['integer', 'null'],
+            description: 'HTTP status of the response'
+        }
+    },
+    additionalProperties: false
+};
+
 module.exports = schemas;
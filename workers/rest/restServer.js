@@ -28,6 +28,8 @@ var restConvert = require('./restConvert');
 var collection  = require('./restCollection');
 var jobManager  = require('./restJobManager');
 var flamegraph  = require('./restFlamegraph');
+var metrics     = require('./restMetrics');
+var RateLimiter = require('./restRateLimit').RateLimiter;
 var ApiVersion = require('./restVersion').ApiVersion;
 
 var restConfig = utils.requireConfig('config/rest');
@@ -50,6 +52,9 @@ var DEFAULTS = {
 const XSS_PROTECTION = 'X-XSS-Protection';
 const API_VERSION = 'X-API-Version';
 const LATEST_API_VERSION = 'X-Latest-API-Version';
+const REQUEST_ID = 'X-Request-Id';
+const ACCESS_LOG_FILE = restConfig.accessLogFile ||
+                        '/var/log/nef.rest.access.log';
 const LANDING_TEMPLATE = path.join(process.env.NEF_CORE_ROOT,
                                    'workers/rest/templates',
                                    'landing.html.template');
@@ -67,6 +72,11 @@ var restifyServerConfig = {
                 }
             }
             return cb(null, body);
+        },
+        // async job status can be streamed as server-sent events, the stream
+        // is written directly so the formatter only makes it acceptable
+        'text/event-stream; q=0.01': function(req, res, body, cb) {
+            return cb(null, body ? body.toString() : '');
         }
     }
 };
@@ -94,6 +104,10 @@ function RestServer(versions, args) {
     this._afterAll = [];
     this._customHeaders = [];
     this.workerConfig = args.workerConfig;
+    this.accessLog = undefined;  // access log stream
+    this.rateLimiter = new RateLimiter(() => {
+        return this.workerConfig.get('rateLimits');
+    });
 
     // Instances configuration
     this.runningInstances = {};                // Running instances
@@ -116,7 +130,8 @@ RestServer.prototype.setupServer = function(cfg) {
     // Check whether the requested URL/method is a part of the API
     function isApiRequest(req) {
         return !(req.path().indexOf('/docs') === 0 ||
-            req.path().indexOf('/flamegraphs') === 0);
+            req.path().indexOf('/flamegraphs') === 0 ||
+            req.path().indexOf('/metrics') === 0);
     }
 
     server.pre(function(req, res, next) {
@@ -217,6 +232,30 @@ RestServer.prototype.setupServer = function(cfg) {
         mapParams: false // disable mapping of query keys into req.params
     }));
 
+    // Identify the request in access log, REST server log and in workers.
+    // Client provided id (Request-Id or X-Request-Id header) is preferred.
+    server.use(function requestId(req, res, next) {
+        req.requestId = req.getId();
+        res.setHeader(REQUEST_ID, req.requestId);
+
+        // Interop calls done on behalf of the request carry its id.
+        // Backends pass it explicitly by calling workers through
+        // req.interop.
+        req.interop = {
+            call: function(worker, method, args, opts, done) {
+                if (typeof opts === 'function') {
+                    done = opts;
+                    opts = {};
+                }
+                interop.call(worker, method, args,
+                             utils.shallowExtend({}, opts, {
+                                 requestId: req.requestId
+                             }), done);
+            }
+        };
+        next();
+    });
+
     // Expose sendError method to res object.
     // This method can be used by rest plugins to generate
     // proper errors when breaking middleware chain
@@ -301,10 +340,16 @@ RestServer.prototype.setupServer = function(cfg) {
     });
 
     server.on('after', function(req, res) {
+        if (isApiRequest(req)) {
+            metrics.observe(req, res);
+        }
         if (isApiRequest(req) && self.workerConfig.get('traceRequests')) {
-            logger.debug(__('Request complete: %s [%s] %s (%s) (%s ms)',
+            logger.debug(__('Request complete: %s [%s] %s (%s) (%s ms) %s',
                 req.method, req.apiVersion.toString(), req.url, res.statusCode,
-                res._headers['response-time']));
+                res._headers['response-time'], req.requestId));
+        }
+        if (self.workerConfig.get('accessLog')) {
+            self.logAccess(req, res);
         }
     });
 
@@ -326,6 +371,7 @@ RestServer.prototype.setupServer = function(cfg) {
     }
 
     flamegraph.register(server, '/flamegraphs');
+    metrics.register(server, '/metrics', self);
 
     return server;
 };
@@ -425,11 +471,82 @@ RestServer.prototype.configure = function(cb) {
         self._expandBendDirs.bind(self),
         self._loadAllBends.bind(self),
         self._registerApiBackends.bind(self),
+        self._initJobManager.bind(self),
     ], function(err) {
         cb(err);
     });
 };
 
+/**
+ * Append JSON record about finished request to access log. The log is
+ * opened on the first write and reopened after a write error.
+ */
+RestServer.prototype.logAccess = function(req, res) {
+    var data;
+
+    try {
+        data = JSON.stringify({
+            time: new Date().toISOString(),
+            requestId: req.requestId,
+            user: (req.user && req.user.username) || null,
+            apiKey: (req.apiKey && req.apiKey.id) || null,
+            remoteAddress: req.connection.remoteAddress,
+            method: req.method,
+            url: req.url,
+            version: req.apiVersion ? req.apiVersion.toString() : null,
+            methodId: req.methodId || null,
+            status: res.statusCode,
+            duration: Date.now() - req.time()
+        }) + '\n';
+    } catch (err) {
+        logger.error(__('Failed to stringify access log record: %s',
+                        err.toString()));
+        return;
+    }
+
+    if (!this.accessLog) {
+        var stream = fs.createWriteStream(ACCESS_LOG_FILE, {
+            flags: 'a'
+        });
+
+        stream.on('error', (err) => {
+            logger.error(__('Failed to write access log: %s',
+                            err.toString()));
+            if (this.accessLog === stream) {
+                this.accessLog = undefined;
+            }
+        });
+        this.accessLog = stream;
+    }
+    this.accessLog.write(data);
+};
+
+/**
+ * Load async jobs which survived restart of the server. Their result
+ * routes are installed when instances are started.
+ */
+RestServer.prototype._initJobManager = function(done) {
+    jobManager.init((job) => {
+        if (job.resultMdesc && job.resultMdesc._routeId) {
+            this.forEachInstance((serv) => {
+                serv.rm(job.resultMdesc._routeId);
+            });
+        }
+    }, done);
+};
+
+/**
+ * Install result routes of restored async jobs to given instance.
+ */
+RestServer.prototype._installRestoredJobs = function(servId) {
+    jobManager.getRestoredJobs().forEach((job) => {
+        job.resultMdesc = job.resultMdesc || job.genResultMdesc();
+        var handlers = [job.streamHandler].concat(
+                this._wrapUserHandler(job.resultMdesc));
+        this._installRestifyHandlers(job.resultMdesc, handlers, false, servId);
+    });
+};
+
 /**
  * Do loading for plugins
  *
@@ -809,7 +926,12 @@ RestServer.prototype.start = function(args, done) {
                             next(err);
                         }, 10);
                     });
-                }, cb);
+                }, (err) => {
+                    if (!err) {
+                        self._installRestoredJobs(id);
+                    }
+                    cb(err);
+                });
             },
             // Setup socket collector
             (cb) => {
@@ -1579,9 +1701,11 @@ RestServer.prototype.processError = function(req, error) {
         if (error.code === 'EUNKNOWN') {
             stack = '\n' + error.rootCause().stack;
         }
-        logger.error(__('%(op)s %(path)s failed: %(err)s%(stack)s', {
+        logger.error(__('%(op)s %(path)s failed (request %(id)s): ' +
+                        '%(err)s%(stack)s', {
             op: req.method,
             path: req.url,
+            id: req.requestId,
             err: error.toString(),
             stack:  stack
         }));
@@ -1632,6 +1756,10 @@ RestServer.prototype.sendError = function(req, res, error) {
 RestServer.prototype._validateRequest = function(req, res, mdesc, next) {
     try {
         restConvert.validateUrlParams(req.params, mdesc.schemas.url);
+        if (mdesc.isCollection) {
+            req.collectionQuery = restConvert.parseCollectionQuery(req.query,
+                    mdesc.schemas.output.items);
+        }
         restConvert.validateQueryParams(req.query, mdesc.schemas.query);
         restConvert.validateBody(req.body, mdesc.schemas.input);
     } catch (error) {
@@ -1650,7 +1778,10 @@ RestServer.prototype._validateRequest = function(req, res, mdesc, next) {
  * handlers.
  *
  * NOTE: The returned chain of handlers has support for async requests (202
- * status).
+ * status). Async handlers are called as
+ * handler(req, done, progressCb, asyncDone, onCancel), where
+ * onCancel(cancelHandler) lets the backend register cancelHandler(done)
+ * which is called when client deletes the job.
  */
 RestServer.prototype._wrapUserHandler = function(mdesc) {
     var self = this;
@@ -1693,7 +1824,9 @@ RestServer.prototype._wrapUserHandler = function(mdesc) {
         // sync way.
         var job;
         var statusMdesc;
+        var cancelMdesc;
         var asyncJobRoute; // either status or result route for the job
+        var cancelHandler; // registered by backend if it supports cancel
 
         // initialize async job vars
         function createAsyncJob() {
@@ -1701,11 +1834,19 @@ RestServer.prototype._wrapUserHandler = function(mdesc) {
                 self.forEachInstance((serv) => {
                     serv.rm(asyncJobRoute);
                 });
+            }, {
+                phases: mdesc.phases
             });
+            job.cancelHandler = cancelHandler;
             statusMdesc = job.genStatusMdesc();
-            var handlers = self._wrapUserHandler(statusMdesc);
+            var handlers = [job.streamHandler].concat(
+                    self._wrapUserHandler(statusMdesc));
             self._installRestifyHandlers(statusMdesc, handlers);
             asyncJobRoute = statusMdesc._routeId;
+
+            cancelMdesc = job.genCancelMdesc();
+            handlers = self._wrapUserHandler(cancelMdesc);
+            self._installRestifyHandlers(cancelMdesc, handlers);
         }
 
         mdesc.handler(req, function(err, handlerRes) {
@@ -1732,15 +1873,24 @@ RestServer.prototype._wrapUserHandler = function(mdesc) {
                 }
                 self.forEachInstance((serv, id) => {
                     serv.rm(statusMdesc._routeId);
+                    serv.rm(cancelMdesc._routeId);
                 });
                 self._installRestifyHandlers(resultMdesc, chain, true);
                 asyncJobRoute = resultMdesc._routeId;
 
+                // Failure of cancelled job is the expected outcome
+                if (err && job.cancelled) {
+                    err = NefError(err, 'ECANCELED',
+                                   __('Job %s was cancelled', job.id));
+                }
+
                 // Process error in order to log it at the time when it occurs
                 // rather than when it is retrieved by client.
                 if (err) {
                     stat = self.processError(req, err);
-                    req.responseStatus = stat.statusCode;
+                    // 409 Conflict for result of cancelled job
+                    req.responseStatus = job.cancelled ? 409 :
+                                         stat.statusCode;
                     err = stat.error;
                     err.logged = true;
                 }
@@ -1758,7 +1908,7 @@ RestServer.prototype._wrapUserHandler = function(mdesc) {
                 req.result = handlerRes;
                 next(); // chain to next handler
             }
-        }, function(processed, description, total) {
+        }, function(processed, description, total, phase) {
             if (!mdesc.deferredAsync && !job) {
                 createAsyncJob();
                 job.redirectToMonitor(req, res, next);
@@ -1766,7 +1916,7 @@ RestServer.prototype._wrapUserHandler = function(mdesc) {
             } else {
                 assert(job, 'Progress cb was called before 202 reply');
             }
-            job.setProgress(processed, description, total);
+            job.setProgress(processed, description, total, phase);
         }, function(handlerRes) {
             if (mdesc.deferredAsync) {
                 assert(!job);
@@ -1774,6 +1924,13 @@ RestServer.prototype._wrapUserHandler = function(mdesc) {
                 job.redirectToMonitor(req, res, handlerRes, next);
                 // redirect takes care of terminating the chain
             }
+        }, function(handler) {
+            // backend supports cancellation, handler is called as
+            // handler(done) when client asks to cancel the job
+            cancelHandler = handler;
+            if (job) {
+                job.cancelHandler = handler;
+            }
         });
 
         // job could have been created by calling progressCb synchronously
@@ -1858,6 +2015,12 @@ RestServer.prototype._genRestifyChain = function(mdesc, handlers) {
     var methname = mdesc.id;
     var chain = [];
 
+    // Remember which method serves the request (used by metrics)
+    chain.push(function setMethodId(req, res, next) {
+        req.methodId = mdesc.id;
+        next();
+    });
+
     // Inject plugins middleware
     if (self._beforeAll.length) {
         self._beforeAll.forEach(function(handler) {
@@ -1867,6 +2030,17 @@ RestServer.prototype._genRestifyChain = function(mdesc, handlers) {
         });
     }
 
+    // Throttle clients after they have been identified by plugins
+    chain.push(self.rateLimiter.handler(mdesc, self.sendError.bind(self)));
+
+    // Name of the authenticated user, backends pass it as caller of
+    // changes which are audited, e.g. in sysconfig property history.
+    // It must never be taken from client input.
+    chain.push(function setCaller(req, res, next) {
+        req.caller = (req.user && req.user.username) || undefined;
+        next();
+    });
+
     // Input validation and meta-data initialization go first
     chain.push(function validateInput(req, res, next) {
         var proxyPath;
@@ -20,6 +20,7 @@ var schemaUtils = require('nef/schemaUtils');
 var keysSchema  = require('nef/schemas/apiKeys');
 
 var Server    = require('./restServer');
+var jobManager = require('./restJobManager');
 var schemas   = require('./restSchemas');
 
 var commonConfig = utils.requireConfig('config/common');
@@ -133,6 +134,11 @@ var workerConfig = new worker.initConfig({
         description: __('Enable request logging'),
         default: config.traceRequests,
         schema: {type: 'boolean'}
+    }, {
+        name: 'accessLog',
+        description: __('Write JSON record about each request to access log'),
+        default: false,
+        schema: {type: 'boolean'}
     }, {
         name: 'allowOrigin',
         publicName: true,
@@ -201,6 +207,49 @@ var workerConfig = new worker.initConfig({
             type: 'string',
             enum: ['TLS1.x', 'TLS1.2']
         }
+    }, {
+        name: 'rateLimits',
+        description: __('Limits of request rate for REST clients, ' +
+                        'requests from loopback addresses are not limited'),
+        default: {
+            enabled: false,
+            default: {
+                rate: 20,
+                burst: 50
+            },
+            accessLevels: {},
+            methods: {}
+        },
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                enabled: {
+                    type: 'boolean',
+                    description: 'Enable rate limiting',
+                    required: true
+                },
+                default: schemas.rateLimit,
+                accessLevels: {
+                    type: 'object',
+                    description: 'Limits for access levels, they take ' +
+                                 'precedence over default limit',
+                    additionalProperties: false,
+                    properties: {
+                        viewer: schemas.rateLimit,
+                        user: schemas.rateLimit,
+                        admin: schemas.rateLimit,
+                        root: schemas.rateLimit
+                    }
+                },
+                methods: {
+                    type: 'object',
+                    description: 'Additional limits for methods ' +
+                                 'indexed by method ID',
+                    additionalProperties: schemas.rateLimit
+                }
+            }
+        }
     }, {
         // Used by API Keys rest plugin
         name: 'apiKeys',
@@ -380,6 +429,36 @@ function removeVip(vip) {
     ha.services = services;
 }
 
+/**
+ * Stop REST server instances and close async jobs DB before exit.
+ */
+function shutdown(retcode) {
+    async.series([
+        function(next) {
+            if (!server) {
+                return next();
+            }
+            server.stop({
+                ids: Object.keys(server.runningInstances),
+                force: true
+            }, next);
+        },
+        function(next) {
+            jobManager.fini(next);
+        }
+    ], function(err) {
+        if (err) {
+            logger.error(__('Failed to shut down REST server: %s',
+                            err.toString()));
+        }
+        worker.exit(retcode);
+    });
+}
+
+// Exit code 128 + signal number tells procman the worker was killed
+process.once('SIGTERM', shutdown.bind(null, 143));
+process.once('SIGINT', shutdown.bind(null, 130));
+
 async.waterfall([
     function(next) {
         workerConfig.init(next);
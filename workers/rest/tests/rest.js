@@ -11,10 +11,12 @@ var expect = chai.expect;
 var async = require('async');
 var restify = require('restify');
 var http = require('http');
+var fs = require('fs');
 var nefUtils = require('nef/utils');
 var aux = require('nef/testHelpers');
 var interop = require('nef/interop');
 var restTestHelpers = require('nef/restTestHelpers');
+var restRateLimit = require('../restRateLimit');
 
 var restConfig = nefUtils.requireConfig('config/rest');
 
@@ -793,6 +795,276 @@ describe('REST core', function() {
                     });
             });
 
+            it('should browse collection by cursors', function(done) {
+                var nextHref = '/test/numbers?limit=7&even=true';
+                var prevHref;
+                var seen = [];
+
+                // surf forward
+                async.whilst(
+                    function() { return nextHref; },
+                    function(next) {
+                        jsonClient.get(nextHref, function(err, req, res, data) {
+                            assert.ifError(err);
+                            expect(res).to.have.status(200);
+                            expect(data.totalCount).to.equal(25);
+                            expect(res).to.have.header('x-total-count', '25');
+
+                            if (seen.length === 0) {
+                                expect(self.getLinkCount(data, 'prev'))
+                                        .to.equal(0);
+                            } else {
+                                expect(self.getLinkCount(data, 'prev'))
+                                        .to.equal(1);
+                                expect(self.getLink(data, 'prev'))
+                                        .to.contain('cursor=');
+                            }
+                            seen = seen.concat(data.data.map((e) => e.value));
+
+                            if (self.getLinkCount(data, 'next') === 1) {
+                                nextHref = self.getLink(data, 'next');
+                                expect(nextHref).to.contain('cursor=');
+                                expect(nextHref).to.not.contain('offset=');
+                            } else {
+                                nextHref = undefined;
+                                prevHref = self.getLink(data, 'prev');
+                            }
+                            next();
+                        });
+                    },
+                    function(err) {
+                        assert.ifError(err);
+                        expect(seen).to.have.length(25);
+                        expect(seen[0]).to.equal(2);
+                        expect(seen[24]).to.equal(50);
+
+                        // the page before the last one
+                        jsonClient.get(prevHref,
+                                function(err, req, res, data) {
+                            assert.ifError(err);
+                            expect(data.data.map((e) => e.value))
+                                    .to.deep.equal(seen.slice(14, 21));
+                            expect(self.getLinkCount(data, 'next'))
+                                    .to.equal(1);
+                            done();
+                        });
+                    });
+            });
+
+            it('should browse collection by non-unique sort key',
+                    function(done) {
+                var nextHref = '/test/numbersByParity?limit=7';
+                var prevHref;
+                var seen = [];
+                var expected = [];
+
+                for (var i = 1; i <= 49; i += 2) {
+                    expected.push(i);
+                }
+                for (i = 2; i <= 50; i += 2) {
+                    expected.push(i);
+                }
+
+                async.whilst(
+                    function() { return nextHref; },
+                    function(next) {
+                        jsonClient.get(nextHref, function(err, req, res, data) {
+                            assert.ifError(err);
+                            expect(res).to.have.status(200);
+                            seen = seen.concat(data.data.map((e) => e.value));
+
+                            if (self.getLinkCount(data, 'next') === 1) {
+                                nextHref = self.getLink(data, 'next');
+                            } else {
+                                nextHref = undefined;
+                                prevHref = self.getLink(data, 'prev');
+                            }
+                            next();
+                        });
+                    },
+                    function(err) {
+                        assert.ifError(err);
+                        // page boundaries fall among equal sort keys
+                        expect(seen).to.deep.equal(expected);
+
+                        jsonClient.get(prevHref,
+                                function(err, req, res, data) {
+                            assert.ifError(err);
+                            expect(data.data.map((e) => e.value))
+                                    .to.deep.equal(seen.slice(42, 49));
+                            done();
+                        });
+                    });
+            });
+
+            it('should reject invalid cursor', function(done) {
+                jsonClient.get('/test/numbers?cursor=garbage',
+                        function(err, req, res, data) {
+                    expect(res).to.have.status(400);
+                    expect(data.code).to.equal('EBADARG');
+                    done();
+                });
+            });
+
+            it('should sort collection', function(done) {
+                jsonClient.get('/test/pagedNumbers?sort=-even' +
+                        '&value[lte]=10&limit=10',
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(200);
+                    // equal sort keys are sorted by collection key
+                    expect(data.data.map((e) => e.value))
+                            .to.deep.equal([2, 4, 6, 8, 10, 1, 3, 5, 7, 9]);
+
+                    jsonClient.get('/test/people?sort=married,-name' +
+                            '&name[like]=jan%20k2*&limit=20',
+                            function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(data.data.map((e) => e.idCardNumber))
+                                .to.deep.equal([29, 28, 27, 26, 25, 24, 23,
+                                                22, 21, 20, 2]);
+                        done();
+                    });
+                });
+            });
+
+            it('should read all entries from backend page by page',
+                    function(done) {
+                // size of /test/pagedNumbers, more than two pages
+                var count = restConfig.collectionMaxPageLimit * 2 + 10;
+
+                jsonClient.get('/test/pagedNumbers?value[lte]=3&limit=2',
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(200);
+                    expect(data.data.map((e) => e.value))
+                            .to.deep.equal([3, 2]);
+                    expect(res).to.have.header('x-total-count', '3');
+                    expect(self.getLinkCount(data, 'next')).to.equal(1);
+
+                    jsonClient.get('/test/pagedNumbers?sort=-value' +
+                            '&even=true&limit=2',
+                            function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(data.data.map((e) => e.value))
+                                .to.deep.equal([count, count - 2]);
+                        expect(res).to.have.header('x-total-count',
+                                String(count / 2));
+                        done();
+                    });
+                });
+            });
+
+            it('should filter by operators and keep them in links',
+                    function(done) {
+                jsonClient.get('/test/numbers?limit=4&value[gt]=40',
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(200);
+                    expect(data.data.map((e) => e.value))
+                            .to.deep.equal([41, 42, 43, 44]);
+
+                    var nextHref = self.getLink(data, 'next');
+                    expect(nextHref).to.contain('value%5Bgt%5D=40');
+
+                    jsonClient.get(nextHref, function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(data.data.map((e) => e.value))
+                                .to.deep.equal([45, 46, 47, 48]);
+                        done();
+                    });
+                });
+            });
+
+            it('should filter by "in" and "like" operators', function(done) {
+                jsonClient.get('/test/numbers?value[in]=3,5,8&even=false',
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(data.data.map((e) => e.value))
+                            .to.deep.equal([3, 5]);
+
+                    jsonClient.get('/test/people?name[like]=jan%20k1*' +
+                            '&limit=20', function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(res).to.have.status(200);
+                        // "Jan Kryl" doesn't match
+                        expect(data.data.map((e) => e.idCardNumber))
+                                .to.deep.equal([10, 11, 12, 13, 14, 15, 16,
+                                                17, 18, 19, 100]);
+                        done();
+                    });
+                });
+            });
+
+            it('should not return properties used only by operators',
+                    function(done) {
+                jsonClient.get('/test/people?fields=name&age[gte]=0&sort=-age',
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(200);
+                    expect(data.data.length).to.be.above(0);
+                    data.data.forEach((e) => {
+                        expect(e).to.have.property('name');
+                        expect(e).to.not.have.property('age');
+                    });
+
+                    jsonClient.get('/test/numbersByParity?fields=value' +
+                            '&value[gt]=40&limit=4',
+                            function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(data.data.map((e) => e.value))
+                                .to.deep.equal([41, 43, 45, 47]);
+                        data.data.forEach((e) => {
+                            expect(e).to.not.have.property('even');
+                        });
+                        expect(self.getLinkCount(data, 'next')).to.equal(1);
+                        done();
+                    });
+                });
+            });
+
+            it('should filter property called sort', function() {
+                var restConvert = require('../restConvert');
+                var schema = {
+                    properties: {
+                        sort: {type: 'string'},
+                        size: {type: 'integer'}
+                    }
+                };
+                var params = {sort: 'size', 'size[gt]': '1'};
+                var query = restConvert.parseCollectionQuery(params, schema);
+
+                expect(query.sort).to.be.empty;
+                expect(query.filters).to.have.length(1);
+                expect(params).to.deep.equal({sort: 'size'});
+
+                delete schema.properties.sort;
+                query = restConvert.parseCollectionQuery(params, schema);
+                expect(query.sort).to.deep.equal([{
+                    property: 'size',
+                    descending: false
+                }]);
+                expect(params).to.be.empty;
+            });
+
+            it('should reject invalid sort and filter operators',
+                    function(done) {
+                async.eachSeries([
+                    '/test/people?sort=height',
+                    '/test/people?age[like]=3*',
+                    '/test/people?married[gt]=true',
+                    '/test/people?age[near]=30',
+                    '/test/people?height[gt]=180',
+                    '/test/numbers?sort=-value'
+                ], function(url, next) {
+                    jsonClient.get(url, function(err, req, res, data) {
+                        expect(res).to.have.status(400);
+                        expect(data.code).to.equal('EBADARG');
+                        next();
+                    });
+                }, done);
+            });
+
             it('should not update read-only property', function(done) {
                 jsonClient.put(newHref, {
                     name: 'Karel Kryl',
@@ -1149,6 +1421,145 @@ describe('REST core', function() {
                 }, done);
             });
 
+            it('should report total and percent of async job',
+                    function(done) {
+                jsonClient.put('/test/async?delay=3', {},
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(202);
+
+                    setTimeout(function() {
+                        jsonClient.get(self.getLink(data, 'monitor'),
+                                function(err, req, res, data) {
+                            assert.ifError(err);
+                            expect(res).to.have.status(202);
+                            expect(data.total).to.equal(3);
+                            expect(data.percent).to.be.within(0, 100);
+                            expect(data.eta).to.be.at.least(0);
+                            expect(data.phases).to.be.undefined;
+                            done();
+                        });
+                    }, 1500);
+                });
+            });
+
+            it('should report phases of async job', function(done) {
+                jsonClient.post('/test/asyncPhases?delay=2', {},
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(202);
+
+                    jsonClient.get(self.getLink(data, 'monitor'),
+                            function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(res).to.have.status(202);
+                        expect(data.phase).to.equal('prepare');
+                        expect(data.phases).to.have.length(2);
+                        expect(data.phases[0]).to.have.property('name',
+                                'prepare');
+                        expect(data.phases[0]).to.have.property('status',
+                                'running');
+                        expect(data.phases[1]).to.have.property('name',
+                                'transfer');
+                        expect(data.phases[1]).to.have.property('status',
+                                'pending');
+                        done();
+                    });
+                });
+            });
+
+            it('should cancel async job', function(done) {
+                var monitorHref;
+
+                async.series([
+                    (next) => jsonClient.post('/test/cancellableAsync?delay=60',
+                            {}, function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(res).to.have.status(202);
+                        monitorHref = self.getLink(data, 'monitor');
+                        next();
+                    }),
+                    (next) => jsonClient.del(monitorHref,
+                            function(err, req, res, data) {
+                        assert.ifError(err);
+                        expect(res).to.have.status(202);
+                        expect(data.cancelled).to.be.true;
+                        next();
+                    }),
+                    (next) => aux.wait(10000, function(cb) {
+                        jsonClient.get(monitorHref,
+                                function(err, req, res, data) {
+                            if (res.statusCode === 202) {
+                                return cb(undefined, false);
+                            }
+                            expect(res).to.have.status(409);
+                            expect(data.code).to.equal('ECANCELED');
+                            cb(undefined, true);
+                        });
+                    }, next)
+                ], done);
+            });
+
+            it('should not cancel job which does not support it',
+                    function(done) {
+                jsonClient.post('/test/async?delay=3', {},
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(202);
+
+                    jsonClient.del(self.getLink(data, 'monitor'),
+                            function(err, req, res, data) {
+                        expect(res).to.have.status(405);
+                        expect(data.code).to.equal('ENOTSUP');
+                        done();
+                    });
+                });
+            });
+
+            it('should stream status of async job as server-sent events',
+                    function(done) {
+                jsonClient.post('/test/async?delay=2', {},
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(202);
+
+                    var options = {
+                        hostname: localhost,
+                        port: port,
+                        method: 'GET',
+                        path: self.getLink(data, 'monitor'),
+                        agent: false,  // prevent keep-alive
+                        headers: {
+                            'Accept': 'text/event-stream'
+                        }
+                    };
+                    var req = http.request(options, (res) => {
+                        expect(res).to.have.status(200);
+                        expect(res).to.have.header('content-type',
+                                'text/event-stream');
+
+                        let stream = '';
+                        res.on('data', (chunk) => stream += chunk);
+                        res.on('end', () => {
+                            var events = stream.split('\n\n').filter((ev) => {
+                                return ev.indexOf('event: ') === 0;
+                            });
+                            var last = events.pop().split('\n');
+
+                            expect(events.length).to.be.at.least(2);
+                            expect(last[0]).to.equal('event: done');
+                            expect(JSON.parse(last[1].slice(6)))
+                                    .to.have.property('statusCode', 201);
+                            done();
+                        });
+                    });
+                    req.on('error', function(e) {
+                        done(e);
+                    });
+                    req.end();
+                });
+            });
+
             it('should read collection of async jobs', function(done) {
 
                 // assumption: all results fit into a single page
@@ -1202,6 +1613,93 @@ describe('REST core', function() {
             });
         });
 
+        describe('async jobs after restart', function() {
+            var finishedHref;
+            var runningHref;
+
+            function startJob(delay, done) {
+                jsonClient.post('/test/async?delay=' + delay, {},
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(202);
+                    done(null, self.getLink(data, 'monitor'));
+                });
+            }
+
+            it('should start async jobs', function(done) {
+                async.series([
+                    (next) => startJob(1, (err, href) => {
+                        finishedHref = href;
+                        next(err);
+                    }),
+                    (next) => startJob(600, (err, href) => {
+                        runningHref = href;
+                        next(err);
+                    }),
+                    (next) => setTimeout(next, 3000)
+                ], done);
+            });
+
+            it('should restart REST worker', function(done) {
+                this.timeout(90000);
+
+                // close client so that the server can be restarted
+                jsonClient.close();
+
+                async.series([
+                    (next) => interop.call('procman', 'restartWorker', {
+                        name: 'rest'
+                    }, next),
+                    (next) => aux.wait(60000, function(cb) {
+                        jsonClient.get(finishedHref,
+                                function(err, req, res, obj) {
+                            var terminate = true;
+
+                            if (err && err.code === 'ECONNREFUSED') {
+                                err = null;
+                                terminate = false;
+                            } else if (res) {
+                                err = null;
+                            }
+                            cb(err, terminate);
+                        });
+                    }, next)
+                ], done);
+            });
+
+            it('should keep result of job finished before restart',
+                    function(done) {
+                jsonClient.get(finishedHref, function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(201);
+                    done();
+                });
+            });
+
+            it('should fail job interrupted by restart', function(done) {
+                jsonClient.get(runningHref, function(err, req, res, data) {
+                    expect(res).to.have.status(500);
+                    expect(data.code).to.equal('EINTR');
+                    done();
+                });
+            });
+
+            it('should list restored jobs as done', function(done) {
+                jsonClient.get('/jobStatus?fields=jobId,done',
+                        function(err, req, res, data) {
+                    expect(res).to.have.status(200);
+
+                    var hrefs = [finishedHref, runningHref];
+                    var found = data.data.filter((ent) => {
+                        return hrefs.indexOf('/jobStatus/' + ent.jobId) !== -1;
+                    });
+                    expect(found).to.have.length(2);
+                    found.forEach((ent) => expect(ent.done).to.be.true);
+                    done();
+                });
+            });
+        });
+
         describe('proxy urls', function() {
 
             before(function(done) {
@@ -1501,6 +1999,34 @@ describe('REST core', function() {
                 });
             });
         });
+
+        it('should return OpenAPI 3 document', function(done) {
+            jsonClient.get('/openapi', function(err, req, res, data) {
+                assert.ifError(err);
+                expect(res).to.have.status(200);
+                expect(data.openapi).to.match(/^3\.0\./);
+                expect(data.components.schemas).to.contain.keys('NefError');
+
+                var people = data.paths['/test/people'];
+                expect(people.get.parameters.map((p) => p.name))
+                        .to.include.members(['offset', 'limit', 'sort']);
+                expect(people.get.responses['200'].headers)
+                        .to.contain.keys('X-Total-Count');
+                expect(data.paths['/test/numbers'].get.parameters
+                        .map((p) => p.name)).to.include('cursor');
+
+                var human = data.paths['/test/people/{idCardNumber}'];
+                expect(human.get.parameters[0].in).to.equal('path');
+                expect(human.get.responses['404'].$ref)
+                        .to.equal('#/components/responses/Error');
+
+                var async = data.paths['/test/async'].post;
+                expect(async.responses['202'].headers).to.contain.keys(
+                        'Location');
+                expect(data.paths).to.not.contain.keys('/openapi');
+                done();
+            });
+        });
     });
 
     function flamegraphTests() {
@@ -1542,6 +2068,222 @@ describe('REST core', function() {
         describe('/flamegraphs', flamegraphTests);
     }
 
+    describe('/metrics', function() {
+
+        function getMetrics(done) {
+            var opts = {
+                hostname: localhost,
+                port: port,
+                method: 'GET',
+                path: '/metrics',
+                agent: false  // prevent keep-alive
+            };
+
+            http.get(opts, function(res) {
+                expect(res).to.have.status(200);
+                expect(res).to.have.header('content-type',
+                        /^text\/plain/);
+
+                var body = '';
+                res.on('data', (chunk) => body += chunk);
+                res.on('end', () => done(body.split('\n')));
+            });
+        }
+
+        it('should count requests per method', function(done) {
+            jsonClient.get('/test/people', function(err, req, res, data) {
+                assert.ifError(err);
+
+                getMetrics(function(lines) {
+                    expect(lines.some((l) => {
+                        return l.indexOf('nef_rest_requests_total{' +
+                                'method="people"') === 0;
+                    })).to.be.true;
+                    expect(lines.some((l) => {
+                        return l.indexOf('nef_rest_request_duration_seconds_' +
+                                'count{method="people"') === 0;
+                    })).to.be.true;
+                    done();
+                });
+            });
+        });
+
+        it('should not add labels for each async job', function(done) {
+            function methodLabels(lines) {
+                var labels = {};
+                lines.forEach((l) => {
+                    var m = /^nef_rest_requests_total\{method="([^"]+)"/
+                            .exec(l);
+                    if (m) {
+                        labels[m[1]] = true;
+                    }
+                });
+                return Object.keys(labels).sort();
+            }
+
+            function runJob(next) {
+                jsonClient.post('/test/async?delay=1', {},
+                        function(err, req, res, data) {
+                    assert.ifError(err);
+                    expect(res).to.have.status(202);
+                    var monitorHref = self.getLink(data, 'monitor');
+
+                    aux.wait(10000, function(cb) {
+                        jsonClient.get(monitorHref,
+                                function(err, req, res, data) {
+                            cb(undefined, res.statusCode !== 202);
+                        });
+                    }, next);
+                });
+            }
+
+            var before;
+
+            async.series([
+                // the first job creates labels for job methods
+                runJob,
+                (next) => getMetrics((lines) => {
+                    before = methodLabels(lines);
+                    expect(before).to.include('getJobStatus');
+                    expect(before).to.include('getJobResult');
+                    next();
+                }),
+                runJob,
+                runJob,
+                (next) => getMetrics((lines) => {
+                    expect(methodLabels(lines)).to.deep.equal(before);
+                    next();
+                })
+            ], done);
+        });
+
+        it('should report async jobs and instances', function(done) {
+            getMetrics(function(lines) {
+                expect(lines.some((l) => {
+                    return /^nef_rest_async_jobs\{state="running"\} \d+$/
+                            .test(l);
+                })).to.be.true;
+                expect(lines.some((l) => {
+                    return /^nef_rest_instance_up\{instance="[^"]+".* 1$/
+                            .test(l);
+                })).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('request id', function() {
+
+        it('should return generated request id', function(done) {
+            jsonClient.get('/test/people', function(err, req, res, data) {
+                assert.ifError(err);
+                expect(res.headers['x-request-id']).to.be.a('string');
+                expect(res.headers['x-request-id']).to.not.be.empty;
+                done();
+            });
+        });
+
+        it('should use request id provided by client', function(done) {
+            jsonClient.get({
+                path: '/test/people',
+                headers: {
+                    'X-Request-Id': 'test-request-id'
+                }
+            }, function(err, req, res, data) {
+                assert.ifError(err);
+                expect(res).to.have.header('x-request-id', 'test-request-id');
+                done();
+            });
+        });
+
+        it('should write request id to access log', function(done) {
+            var logFile = restConfig.accessLogFile ||
+                          '/var/log/nef.rest.access.log';
+            var requestId = 'access-log-' + Date.now();
+
+            async.series([
+                (next) => setInstancePropAndWait('worker.rest.accessLog',
+                                                 true, next),
+                (next) => jsonClient.get({
+                    path: '/test/people',
+                    headers: {
+                        'X-Request-Id': requestId
+                    }
+                }, (err) => next(err)),
+                (next) => aux.wait({
+                    timeout: 10000,
+                    message: 'Wait for access log record',
+                    callback: function(cb) {
+                        fs.readFile(logFile, 'utf8', (err, data) => {
+                            var records = (data || '').split('\n')
+                                    .filter((line) => line.length > 0)
+                                    .map((line) => JSON.parse(line))
+                                    .filter((rec) => {
+                                        return rec.requestId === requestId;
+                                    });
+
+                            if (records.length === 0) {
+                                return cb(undefined, false);
+                            }
+                            expect(records).to.have.length(1);
+                            expect(records[0].method).to.equal('GET');
+                            expect(records[0].url).to.equal('/test/people');
+                            expect(records[0].status).to.equal(200);
+                            cb(undefined, true);
+                        });
+                    }
+                }, next)
+            ], (err) => {
+                setInstancePropAndWait('worker.rest.accessLog', false,
+                                       (err2) => done(err || err2));
+            });
+        });
+
+        it('should pass request id to backend worker', function(done) {
+            var requestId = 'backend-' + Date.now();
+            var file;
+
+            async.series([
+                (next) => interop.call('procman', 'startRecording', {
+                    workers: ['echo']
+                }, (err, res) => {
+                    assert.ifError(err);
+                    file = res.file;
+                    next();
+                }),
+                (next) => jsonClient.get({
+                    path: '/test/echo',
+                    headers: {
+                        'X-Request-Id': requestId
+                    }
+                }, (err) => next(err)),
+                (next) => interop.call('procman', 'stopRecording', {},
+                                       (err) => next(err)),
+                (next) => aux.wait({
+                    timeout: 10000,
+                    message: 'Wait for recorded request',
+                    callback: function(cb) {
+                        fs.readFile(file, 'utf8', (err, data) => {
+                            var records = (data || '').split('\n')
+                                    .filter((line) => line.length > 0)
+                                    .map((line) => JSON.parse(line))
+                                    .filter((rec) => {
+                                        return rec.type === 'request' &&
+                                               rec.method === 'echoSync';
+                                    });
+
+                            if (records.length === 0) {
+                                return cb(undefined, false);
+                            }
+                            expect(records[0].requestId).to.equal(requestId);
+                            cb(undefined, true);
+                        });
+                    }
+                }, next)
+            ], done);
+        });
+    });
+
     describe('management address', function() {
         var ipv4Client;
         var ipv6Client;
@@ -1943,4 +2685,135 @@ describe('REST core', function() {
 
     });
 
+    describe('restRateLimit', function() {
+
+        describe('TokenBucket', function() {
+            var limit = {rate: 2, burst: 4};
+
+            it('should start full', function() {
+                var bucket = new restRateLimit.TokenBucket(limit);
+
+                expect(bucket.tokens).to.equal(4);
+                expect(bucket.isFull()).to.be.true;
+                expect(bucket.waitTime()).to.equal(0);
+            });
+
+            it('should refill by rate up to burst', function() {
+                var bucket = new restRateLimit.TokenBucket(limit);
+
+                bucket.tokens = 0;
+                bucket.last -= 1000;
+                bucket.refill(limit);
+                expect(bucket.tokens).to.be.within(2, 2.1);
+
+                bucket.last -= 10000;
+                bucket.refill(limit);
+                expect(bucket.tokens).to.equal(4);
+            });
+
+            it('should tell time till the next token', function() {
+                var bucket = new restRateLimit.TokenBucket({rate: 0.25});
+
+                bucket.tokens = 0.5;
+                expect(bucket.waitTime()).to.equal(2);
+            });
+        });
+
+        describe('RateLimiter', function() {
+            var limits;
+            var limiter;
+            var mdesc = {id: 'people'};
+
+            function request(addr) {
+                return {
+                    connection: {
+                        remoteAddress: addr || '192.0.2.1'
+                    }
+                };
+            }
+
+            beforeEach(function() {
+                limits = {
+                    enabled: true,
+                    default: {rate: 1, burst: 2},
+                    methods: {}
+                };
+                limiter = new restRateLimit.RateLimiter(() => limits);
+            });
+
+            afterEach(function() {
+                clearInterval(limiter.cleanupTimer);
+            });
+
+            it('should reject request over the limit', function() {
+                expect(limiter.check(request(), mdesc)).to.equal(0);
+                expect(limiter.check(request(), mdesc)).to.equal(0);
+                expect(limiter.check(request(), mdesc)).to.equal(1);
+                expect(limiter.check(request('192.0.2.2'), mdesc)).to.equal(0);
+            });
+
+            it('should not limit loopback addresses', function() {
+                ['127.0.0.1', '::1', '::ffff:127.0.0.1'].forEach((addr) => {
+                    for (var i = 0; i < 5; i++) {
+                        expect(limiter.check(request(addr), mdesc)).to.equal(0);
+                    }
+                });
+            });
+
+            it('should limit method by its own bucket', function() {
+                limits.methods.people = {rate: 1, burst: 1};
+
+                expect(limiter.check(request(), mdesc)).to.equal(0);
+                expect(limiter.check(request(), mdesc)).to.equal(1);
+                // other method uses client bucket only
+                expect(limiter.check(request(), {id: 'other'})).to.equal(0);
+            });
+
+            it('should not take method token if client is limited',
+                    function() {
+                limits.default = {rate: 1, burst: 1};
+                limits.methods.people = {rate: 1, burst: 2};
+
+                expect(limiter.check(request(), {id: 'other'})).to.equal(0);
+                expect(limiter.check(request(), mdesc)).to.equal(1);
+                expect(limiter.buckets['ip:192.0.2.1:people'].tokens)
+                    .to.be.at.least(2);
+            });
+
+            it('should not take client token if method is limited',
+                    function() {
+                limits.default = {rate: 1, burst: 3};
+                limits.methods.people = {rate: 1, burst: 1};
+
+                expect(limiter.check(request(), mdesc)).to.equal(0);
+                expect(limiter.check(request(), mdesc)).to.equal(1);
+                // rejected request left two tokens in client bucket
+                expect(limiter.check(request(), {id: 'other'})).to.equal(0);
+                expect(limiter.check(request(), {id: 'other'})).to.equal(0);
+                expect(limiter.check(request(), {id: 'other'})).to.equal(1);
+            });
+
+            it('should reply 429 with Retry-After', function() {
+                var headers = {};
+                var sent;
+                var req = request();
+                var res = {
+                    setHeader: (name, value) => headers[name] = value
+                };
+                var handler = limiter.handler(mdesc, (req, res, err) => {
+                    sent = err;
+                });
+
+                limits.default = {rate: 0.5, burst: 1};
+                handler(req, res, () => {});
+                expect(sent).to.be.undefined;
+
+                handler(req, res, (cont) => expect(cont).to.equal(false));
+                expect(sent.code).to.equal('EAGAIN');
+                expect(req.responseStatus).to.equal(429);
+                expect(headers['Retry-After']).to.equal(2);
+            });
+        });
+    });
+
 });
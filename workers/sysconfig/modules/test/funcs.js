@@ -81,6 +81,14 @@ module.exports.rollbackTestPersistentSetter = function(prop, ctx, value, done) {
     }
 };
 
+module.exports.failingSetter = function(value, done) {
+    if (value === 'fail') {
+        done(NefError('EBADARG', __('Failure in setter')));
+    } else {
+        done();
+    }
+};
+
 module.exports.rollbackTestRollback = function(prop, ctx, err, done) {
     prop.module.getProperty('rollbackMeter').tValue = {
         called: true,
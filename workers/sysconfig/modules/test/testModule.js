@@ -168,6 +168,14 @@ var config = {
             'name': 'rollbackMeter',
             'description': 'Property that shows how rollback feature worked',
             'type': 'object'
+        },
+        {
+            'name': 'failingThing',
+            'description': 'Property which setter fails, it breaks ' +
+                           'transactional set of properties declared ' +
+                           'before it',
+            'type': 'string',
+            'setter': funcs.failingSetter
         }
     ],
 
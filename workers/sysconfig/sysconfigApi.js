@@ -21,6 +21,10 @@ var certificateSchema = require('nef/schemas/certificate');
 var sslUtils = require('nef/sslUtils');
 var execFile = require('child_process').execFile;
 var main = require('./sysconfigMain');
+var history = require('./sysconfigHistory');
+var snapshots = require('./sysconfigSnapshots');
+var importPlan = require('./sysconfigImportPlan');
+var drift = require('./sysconfigDrift');
 
 /**
  * How many parallel precesses to use in properties discover
@@ -42,6 +46,31 @@ function handleUpdateResult(ctx, callback, err) {
     });
 }
 
+/**
+ * Dry run of import returns the plan instead of starting import job.
+ */
+var dryRunInput = {
+    description: 'Only validate configuration and return what would be ' +
+                 'changed, nothing is applied',
+    type: 'boolean',
+    default: false
+};
+var importPlanOutput = nefUtils.extend({}, importPlan.schema, {
+    description: 'Import plan, returned only in dryRun mode',
+    type: ['object', 'null']
+});
+
+/**
+ * Identity of whoever requested a change, it's recorded in property
+ * history. REST backends pass the authenticated user (req.caller) after
+ * arguments are taken from the request, so it can't come from client
+ * input.
+ */
+var callerInput = {
+    description: 'Who requests the change, recorded in property history',
+    type: 'string'
+};
+
 events.declare('NEF_sysconfig_set_param', {
     description: 'Parameter has been updated',
     range: 'joint',
@@ -91,6 +120,24 @@ events.declare('NEF_sysconfig_rebootNeeded', {
     },
 });
 
+events.declare('NEF_sysconfig_drift_detected', {
+    description: 'Scheduled check found properties which current value ' +
+                 'differs from the stored one',
+    range: 'joint',
+    payload: {
+        type: 'object',
+        properties: {
+            ids: {
+                description: 'IDs of newly drifted properties',
+                type: 'array',
+                items: {
+                    type: 'string'
+                }
+            }
+        }
+    },
+});
+
 events.declare('NEF_sysconfig_worker_connected', {
     description: 'Sysconfig has established connection to worker',
     range: 'private',
@@ -300,6 +347,52 @@ var paramFinder = new Finder({
 });
 paramFinder.apiMethod(worker, 'findProperties');
 
+/**
+ * Log of property changes, the newest first.
+ */
+var historyFinder = new Finder({
+    scheme: history.entrySchema.properties,
+    input: {
+        where: {
+            type: 'object',
+            properties: {
+                since: {
+                    description: 'Return changes made at this time or later',
+                    type: 'string',
+                    format: 'date-time'
+                },
+                until: {
+                    description: 'Return changes made before this time',
+                    type: 'string',
+                    format: 'date-time'
+                }
+            }
+        }
+    },
+    getAll: function(context, done) {
+        var where = context.where || {};
+        var since = where.since && Date.parse(where.since);
+        var until = where.until && Date.parse(where.until);
+        var res;
+
+        try {
+            res = history.find();
+        } catch (err) {
+            return done(err);
+        }
+
+        res = res.filter(function(entry) {
+            var time = Date.parse(entry.time);
+            return (!since || time >= since) && (!until || time < until);
+        });
+        delete where.since;
+        delete where.until;
+
+        done(undefined, res);
+    }
+});
+historyFinder.apiMethod(worker, 'findPropertyHistory');
+
 worker.apiMethod('getProperty', {
     input: {
         id: schemas.id,
@@ -348,6 +441,7 @@ worker.apiMethod('setProperty', {
         strict:  schemas.input.strict,
         context: schemas.input.context,
         force: schemas.input.force,
+        caller: callerInput,
         value: schemas.value
     },
     output: schemas.output.genericModify,
@@ -375,7 +469,16 @@ worker.apiMethod('bulkSetProperties', {
         persistent: schemas.input.persistent,
         strict:  schemas.input.strict,
         context: schemas.input.context,
-        force: schemas.input.force
+        force: schemas.input.force,
+        caller: callerInput,
+        transactional: {
+            description: 'Validate all values first and revert already ' +
+                         'set properties if any of them fails. Failed ' +
+                         'and reverted properties are in "failed" and ' +
+                         '"reverted" fields of the error',
+            type: 'boolean',
+            default: false
+        }
     },
     output: schemas.output.genericModify,
 }, function(args, callback) {
@@ -387,12 +490,19 @@ worker.apiMethod('bulkSetProperties', {
         }
     });
 
+    if (args.transactional) {
+        main.setPropertiesTransactional(ctx, args,
+                handleUpdateResult.bind(this, ctx, callback));
+        return;
+    }
+
     async.forEachSeries(Object.keys(args.pairs), function(id, next) {
         main.setProperty(ctx, {
             id: id,
             value: args.pairs[id],
             persistent: args.persistent,
             strict: args.strict,
+            caller: args.caller
         }, next);
     }, handleUpdateResult.bind(this, ctx, callback));
 });
@@ -418,7 +528,8 @@ worker.apiMethod('resetProperty', {
         resetRebootNeeded: {
             description: 'Reset rebootNeeded flag instead of value',
             type: 'boolean'
-        }
+        },
+        caller: callerInput
     },
     output: schemas.output.genericModify,
 }, function(args, callback) {
@@ -437,11 +548,60 @@ worker.apiMethod('resetProperty', {
         return;
     }
 
-    prop.reset({
-        ctx: ctx
+    history.trackChange(ctx, prop, {
+        operation: 'reset',
+        persistent: false,
+        caller: args.caller
+    }, function(next) {
+        prop.reset({
+            ctx: ctx
+        }, next);
     }, handleUpdateResult.bind(this, ctx, callback));
 });
 
+/**
+ * Properties which current value differs from the stored one.
+ */
+var driftFinder = new Finder({
+    scheme: drift.schema.properties,
+    getAll: function(context, done) {
+        drift.check(done);
+    }
+});
+driftFinder.apiMethod(worker, 'findConfigDrift');
+
+/**
+ * Remove drift of property.
+ *
+ * @param {String}   id       Id of the property
+ * @param {String}   action   applyStored sets current value to the stored
+ *                            one, adoptLive stores current value
+ */
+worker.apiMethod('fixConfigDrift', {
+    description: 'Make current and stored value of property equal',
+    input: {
+        id: nefUtils.extend({
+            required: true
+        }, schemas.id),
+        action: {
+            description: 'Re-apply stored value or store live value',
+            type: 'string',
+            enum: ['applyStored', 'adoptLive'],
+            required: true
+        },
+        context: schemas.input.context,
+        caller: callerInput
+    },
+    output: schemas.output.genericModify,
+}, function(args, callback) {
+    var ctx = new Context({
+        type: 'set',
+        name: args.context
+    });
+
+    drift.fix(ctx, args, handleUpdateResult.bind(this, ctx, callback));
+});
+
 /**
  * Inserts array or object element into the property. It works only for arrays
  * and objects.
@@ -475,7 +635,8 @@ worker.apiMethod('insertIntoProperty', {
         value: schemas.value,
         index: schemas.input.index,
         key: schemas.input.key,
-        keyName: schemas.input.keyName
+        keyName: schemas.input.keyName,
+        caller: callerInput
     },
     output: schemas.output.genericModify,
 }, function(args, callback) {
@@ -488,12 +649,18 @@ worker.apiMethod('insertIntoProperty', {
         }
     });
 
-    prop.insertElement({
-        ctx: ctx,
+    history.trackChange(ctx, prop, {
+        operation: 'insert',
         persistent: args.persistent,
-        strict: args.strict,
-        addr: nefUtils.sliceObject(args, 'index', 'key', 'keyName'),
-        element: args.value
+        caller: args.caller
+    }, function(next) {
+        prop.insertElement({
+            ctx: ctx,
+            persistent: args.persistent,
+            strict: args.strict,
+            addr: nefUtils.sliceObject(args, 'index', 'key', 'keyName'),
+            element: args.value
+        }, next);
     }, handleUpdateResult.bind(this, ctx, callback));
 });
 
@@ -528,7 +695,8 @@ worker.apiMethod('replaceInProperty', {
         value: schemas.value,
         index: schemas.input.index,
         key: schemas.input.key,
-        keyName: schemas.input.keyName
+        keyName: schemas.input.keyName,
+        caller: callerInput
     },
     output: schemas.output.genericModify,
 }, function(args, callback) {
@@ -541,13 +709,19 @@ worker.apiMethod('replaceInProperty', {
         }
     });
 
-    prop.replaceElement({
-        ctx: ctx,
+    history.trackChange(ctx, prop, {
+        operation: 'replace',
         persistent: args.persistent,
-        strict: args.strict,
-        insertIfNotExists: args.insertIfNotExists,
-        addr: nefUtils.sliceObject(args, 'index', 'key', 'keyName'),
-        element: args.value
+        caller: args.caller
+    }, function(next) {
+        prop.replaceElement({
+            ctx: ctx,
+            persistent: args.persistent,
+            strict: args.strict,
+            insertIfNotExists: args.insertIfNotExists,
+            addr: nefUtils.sliceObject(args, 'index', 'key', 'keyName'),
+            element: args.value
+        }, next);
     }, handleUpdateResult.bind(this, ctx, callback));
 });
 
@@ -579,7 +753,8 @@ worker.apiMethod('deleteFromProperty', {
         force: schemas.input.force,
         index: schemas.input.index,
         key: schemas.input.key,
-        keyName: schemas.input.keyName
+        keyName: schemas.input.keyName,
+        caller: callerInput
     },
     output: schemas.output.genericModify,
 }, function(args, callback) {
@@ -592,11 +767,17 @@ worker.apiMethod('deleteFromProperty', {
         }
     });
 
-    prop.deleteElement({
-        ctx: ctx,
+    history.trackChange(ctx, prop, {
+        operation: 'delete',
         persistent: args.persistent,
-        strict: args.strict,
-        addr: nefUtils.sliceObject(args, 'index', 'key', 'keyName')
+        caller: args.caller
+    }, function(next) {
+        prop.deleteElement({
+            ctx: ctx,
+            persistent: args.persistent,
+            strict: args.strict,
+            addr: nefUtils.sliceObject(args, 'index', 'key', 'keyName')
+        }, next);
     }, handleUpdateResult.bind(this, ctx, callback));
 });
 
@@ -668,9 +849,10 @@ worker.apiMethod('importConfiguration', {
             type: 'boolean',
             default: false
         },
-        context: schemas.input.context
+        context: schemas.input.context,
+        dryRun: dryRunInput
     },
-    output: schemaUtils.common.nullOutput,
+    output: importPlanOutput,
 }, function(args, callback) {
     try {
         args.configuration = JSON.parse(args.configuration);
@@ -679,8 +861,24 @@ worker.apiMethod('importConfiguration', {
                 e.toString())));
         return;
     }
-    main.doImport(args);
-    callback();
+
+    if (args.dryRun) {
+        return importPlan.create(args, callback);
+    }
+
+    var runningErr = main.checkImportNotRunning();
+    if (runningErr) {
+        return callback(runningErr);
+    }
+
+    snapshots.createAuto(__('Before import of configuration'), function() {
+        try {
+            main.doImport(args);
+        } catch (err) {
+            return callback(err);
+        }
+        callback();
+    });
 });
 
 /**
@@ -786,6 +984,89 @@ worker.apiMethod('abortJob', {
     job.abort(done);
 });
 
+/*
+ * Configuration snapshots methods.
+ */
+
+var snapshotFinder = new Finder({
+    scheme: nefUtils.sliceObject(snapshots.schema.properties, 'name',
+                                 'description', 'created', 'automatic'),
+    getAll: function(context, done) {
+        try {
+            done(undefined, snapshots.find());
+        } catch (err) {
+            done(err);
+        }
+    }
+});
+snapshotFinder.apiMethod(worker, 'findConfigSnapshots');
+
+worker.apiMethod('createConfigSnapshot', {
+    description: 'Save current configuration to named snapshot',
+    input: {
+        name: nefUtils.extend({
+            required: true
+        }, snapshots.schema.properties.name),
+        description: snapshots.schema.properties.description
+    },
+    output: schemaUtils.common.nullOutput
+}, function(args, callback) {
+    snapshots.create({
+        name: args.name,
+        description: args.description
+    }, function(err) {
+        callback(err);
+    });
+});
+
+worker.apiMethod('destroyConfigSnapshot', {
+    description: 'Delete configuration snapshot',
+    input: {
+        name: nefUtils.extend({
+            required: true
+        }, snapshots.schema.properties.name)
+    },
+    output: schemaUtils.common.nullOutput
+}, function(args, callback) {
+    snapshots.destroy(args.name, callback);
+});
+
+worker.apiMethod('diffConfigSnapshots', {
+    description: 'Compare properties in two configuration snapshots, ' +
+                 'or in snapshot and current configuration',
+    input: {
+        from: nefUtils.extend({
+            required: true
+        }, snapshots.schema.properties.name),
+        to: nefUtils.extend({}, snapshots.schema.properties.name, {
+            description: 'Name of the second snapshot, current ' +
+                         'configuration is used if not specified'
+        })
+    },
+    output: snapshots.diffSchema
+}, function(args, callback) {
+    snapshots.diff(args.from, args.to, callback);
+});
+
+worker.apiMethod('restoreConfigSnapshot', {
+    description: 'Restore configuration from snapshot. It starts import ' +
+                 'job, use getJobStatus to check when it\'s done. Current ' +
+                 'configuration is saved to automatic snapshot first.',
+    input: {
+        name: nefUtils.extend({
+            required: true
+        }, snapshots.schema.properties.name),
+        force: schemas.input.force,
+        context: schemas.input.context
+    },
+    output: schemaUtils.common.nullOutput
+}, function(args, callback) {
+    snapshots.restore(args.name, {
+        force: args.force,
+        context: args.context
+    }, callback);
+});
+
 /*
  * Appliance profile methods.
  */
@@ -837,19 +1118,41 @@ worker.apiMethod('applyProfile', {
     input: {
         name: schemas.profile.properties.name,
         context: schemas.input.context,
-        force: schemas.input.force
+        force: schemas.input.force,
+        dryRun: dryRunInput
     },
-    output: schemaUtils.common.nullOutput
+    output: importPlanOutput
 }, function(args, callback) {
     var prof = main.lookupProfile(args.name);
 
-    main.doImport({
-        configuration: prof,
-        type: 'applyProfile',
-        force: args.force
-    });
+    if (args.dryRun) {
+        return importPlan.create({
+            configuration: prof,
+            type: 'applyProfile',
+            context: args.context,
+            force: args.force
+        }, callback);
+    }
+
+    var runningErr = main.checkImportNotRunning();
+    if (runningErr) {
+        return callback(runningErr);
+    }
 
-    main.waitingForImport(callback);
+    snapshots.createAuto(__('Before applying profile %s', args.name),
+            function() {
+        try {
+            main.doImport({
+                configuration: prof,
+                type: 'applyProfile',
+                force: args.force
+            });
+        } catch (err) {
+            return callback(err);
+        }
+
+        main.waitingForImport(callback);
+    });
 });
 
 /*
@@ -0,0 +1,266 @@
+/**
+ * Detection of configuration drift, i.e. properties which current (live)
+ * value differs from the stored one. It happens after temporary changes,
+ * or when a watched file is edited outside of NEF: the watcher loads
+ * the new value into the stored value only.
+ */
+
+var async    = require('async');
+var nefUtils = require('nef/utils');
+var logger   = require('nef/logger');
+var events   = require('nef/events');
+var NefError = require('nef/error').NefError;
+var Context  = require('nef/sysconfig/Context');
+var main     = require('./sysconfigMain');
+var history  = require('./sysconfigHistory');
+var utils    = require('./sysconfigUtils');
+
+var commonConfig = nefUtils.requireConfig('config/common');
+var config = nefUtils.requireConfig('config/sysconfig');
+
+// exported stuff from this module
+var drift = {};
+
+/*
+ * Interval of scheduled drift checks in ms
+ */
+var CHECK_INTERVAL = commonConfig.sysconfigDriftCheckInterval || 3600000;
+
+/*
+ * Time when drift of property was detected for the first time:
+ * property id => ISO date string
+ */
+var detected = {};
+
+/*
+ * Properties already reported by event of scheduled check. It's kept
+ * apart from the detected map, which is filled by API calls too.
+ */
+var reported = {};
+var checkTimer;
+
+drift.schema = {
+    type: 'object',
+    properties: {
+        id: {
+            description: 'ID of the property',
+            type: 'string'
+        },
+        module: {
+            description: 'Module of the property',
+            type: 'string'
+        },
+        currentValue: {
+            description: 'Live value, masked for protected properties',
+            type: 'any'
+        },
+        storedValue: {
+            description: 'Stored value, masked for protected properties',
+            type: 'any'
+        },
+        reason: {
+            description: 'Probable cause of the drift: temporary change ' +
+                         'through API, or change outside of NEF',
+            type: 'string',
+            enum: ['temporaryChange', 'externalEdit']
+        },
+        detectedAt: {
+            description: 'Time when the drift was detected for the first time',
+            type: 'string',
+            format: 'date-time'
+        }
+    }
+};
+
+/**
+ * Compare current and stored values of all properties.
+ * Volatile and read-only properties and properties without stored
+ * value are skipped.
+ *
+ * @param {Function} done   Callback with list of drifted properties
+ */
+drift.check = function(done) {
+    var modules = main.lookupModule();
+    var lastChanges = history.lastChanges();
+    var list = [];
+    var res = [];
+
+    for (var id in modules) {
+        modules[id].properties.forEach(function(prop) {
+            if (!prop.volatile && !prop.readOnly) {
+                list.push(prop);
+            }
+        });
+    }
+
+    async.forEachLimit(list, config['discoverJobs'], function(prop, next) {
+        getValues(prop, function(err, values) {
+            if (err || nefUtils.equals(values.current, values.stored)) {
+                // unreadable values can't be compared
+                delete detected[prop.id];
+                return next();
+            }
+
+            if (!detected[prop.id]) {
+                detected[prop.id] = new Date().toISOString();
+            }
+
+            var last = lastChanges[prop.id];
+            var entry = {
+                id: prop.id,
+                module: prop.module.id,
+                currentValue: utils.maskValue(prop, values.current),
+                storedValue: utils.maskValue(prop, values.stored),
+                reason: last && last.persistent === false ?
+                        'temporaryChange' : 'externalEdit',
+                detectedAt: detected[prop.id]
+            };
+            res.push(entry);
+            next();
+        });
+    }, function(err) {
+        res.sort(function(a, b) {
+            return a.id.localeCompare(b.id);
+        });
+        done(err, res);
+    });
+};
+
+/**
+ * Remove drift of property by re-applying the stored value or by storing
+ * the live one.
+ *
+ * @param {Object}   ctx             Context of the change
+ * @param {Object}   args
+ * @param {String}   args.id         ID of the property
+ * @param {String}   args.action     applyStored or adoptLive
+ * @param {String}   [args.caller]   Who requested the change
+ * @param {Function} done            Callback
+ */
+drift.fix = function(ctx, args, done) {
+    var prop = main.lookupProperty(args.id);
+
+    getValues(prop, function(err, values) {
+        if (err) {
+            return done(err);
+        }
+
+        // nothing to fix
+        if (nefUtils.equals(values.current, values.stored)) {
+            delete detected[prop.id];
+            return done();
+        }
+
+        function finish(err) {
+            if (!err) {
+                delete detected[prop.id];
+                delete reported[prop.id];
+            }
+            done(err);
+        }
+
+        if (args.action === 'applyStored') {
+            history.trackChange(ctx, prop, {
+                operation: 'reset',
+                persistent: false,
+                caller: args.caller
+            }, function(next) {
+                prop.reset({
+                    ctx: ctx
+                }, next);
+            }, finish);
+        } else if (args.action === 'adoptLive') {
+            main.setProperty(ctx, {
+                id: prop.id,
+                value: values.current,
+                persistent: true,
+                strict: false,
+                caller: args.caller
+            }, finish);
+        } else {
+            done(NefError('EBADARG', __('Unknown drift fix action: %s',
+                                        args.action)));
+        }
+    });
+};
+
+/**
+ * Run drift check periodically and emit event when properties start
+ * drifting. Check is postponed while import job is running, because
+ * values are expected to differ in the meantime.
+ */
+drift.scheduleChecks = function() {
+    if (checkTimer) {
+        clearTimeout(checkTimer);
+        checkTimer = undefined;
+    }
+
+    function reschedule() {
+        checkTimer = setTimeout(drift.scheduleChecks, CHECK_INTERVAL);
+    }
+
+    var job = main.getImportJob();
+    if (job && !job.finished) {
+        return reschedule();
+    }
+
+    drift.check(function(err, res) {
+        if (err) {
+            logger.error(__('Configuration drift check failed: %s',
+                            err.toString()));
+            return reschedule();
+        }
+
+        var drifted = nefUtils.pluck(res, 'id');
+        var ids = drifted.filter(function(id) {
+            return !reported[id];
+        });
+
+        // properties which stopped drifting will be reported again
+        reported = {};
+        drifted.forEach(function(id) {
+            reported[id] = true;
+        });
+
+        if (ids.length > 0) {
+            logger.warn(__('Configuration drift detected in properties: %s',
+                           ids.join(', ')));
+            events.jointEvent('NEF_sysconfig_drift_detected', {
+                ids: ids
+            });
+        }
+        reschedule();
+    });
+};
+
+function getValues(prop, done) {
+    var ctx = new Context({type: 'get'});
+    var values = {};
+
+    async.series([
+        function(next) {
+            prop.get({
+                ctx: ctx,
+                persistent: false,
+                strict: false
+            }, function(err, res) {
+                values.current = res;
+                next(err);
+            });
+        },
+        function(next) {
+            prop.get({
+                ctx: ctx,
+                persistent: true,
+                strict: true
+            }, function(err, res) {
+                values.stored = res;
+                next(err);
+            });
+        }
+    ], function(err) {
+        done(err, values);
+    });
+}
+
+module.exports = drift;
@@ -0,0 +1,252 @@
+/**
+ * Persistent log of changes of sysconfig properties.
+ *
+ * Each change made through sysconfig API is recorded with values before
+ * and after the change. Values of protected properties are masked before
+ * they are recorded.
+ */
+
+var async    = require('async');
+var ObjectDb = require('nef/objectDb');
+var worker   = require('nef/baseWorker');
+var logger   = require('nef/logger');
+var nefUtils = require('nef/utils');
+var Context  = require('nef/sysconfig/Context');
+var utils    = require('./sysconfigUtils');
+
+var commonConfig = nefUtils.requireConfig('config/common');
+
+// exported stuff from this module
+var history = {};
+
+/*
+ * Max number of kept entries, the oldest are removed first
+ */
+var HISTORY_MAX_ENTRIES = commonConfig.sysconfigHistorySize || 10000;
+var nextSeq = 0;
+
+/*
+ * IDs of kept entries from the oldest one. History is trimmed by count
+ * of entries, without reading all of them on each write.
+ */
+var entryIds = [];
+
+history.entrySchema = {
+    type: 'object',
+    properties: {
+        id: {
+            description: 'Unique ID of the entry',
+            type: 'string'
+        },
+        time: {
+            description: 'Time of the change',
+            type: 'string',
+            format: 'date-time'
+        },
+        propertyId: {
+            description: 'ID of the changed property',
+            type: 'string'
+        },
+        module: {
+            description: 'Module of the changed property',
+            type: 'string'
+        },
+        operation: {
+            description: 'API operation which changed the property',
+            type: 'string',
+            enum: ['set', 'reset', 'insert', 'replace', 'delete']
+        },
+        oldValue: {
+            description: 'Value before the change, masked for protected ' +
+                         'properties',
+            type: 'any'
+        },
+        newValue: {
+            description: 'Value after the change, masked for protected ' +
+                         'properties',
+            type: 'any'
+        },
+        persistent: {
+            description: 'Change of persistent value',
+            type: 'boolean'
+        },
+        contextType: {
+            description: 'Type of context of the change: set, bulkSet, ' +
+                         'restore, clone, applyProfile...',
+            type: 'string'
+        },
+        contextName: {
+            description: 'Name of context of the change',
+            type: 'string'
+        },
+        caller: {
+            description: 'Who requested the change',
+            type: 'string'
+        },
+        outcome: {
+            description: 'Result of the change. Property is rolled back ' +
+                         'if it has old value after failed change, or ' +
+                         'if the change reverts failed transaction',
+            type: 'string',
+            enum: ['success', 'failed', 'rolledBack']
+        },
+        error: {
+            description: 'Error if the change failed',
+            type: 'object'
+        }
+    }
+};
+
+var db = new ObjectDb(worker.dbDir, 'inmemory', {
+    'propertyHistory': {
+        autoCommit: true,
+        primaryKey: 'id',
+        objectSchema: history.entrySchema
+    }
+});
+
+/**
+ * Open history DB.
+ */
+history.init = function(done) {
+    db.open({
+        createDir: true
+    }, function(err) {
+        if (!err) {
+            entryIds = nefUtils.pluck(db.propertyHistory.find({}), 'id')
+                       .sort();
+        }
+        done(err);
+    });
+};
+
+/**
+ * Get all entries, the newest first.
+ */
+history.find = function() {
+    var res = db.propertyHistory.find({});
+
+    res.sort(function(a, b) {
+        return b.id.localeCompare(a.id);
+    });
+    return res;
+};
+
+/**
+ * Get the newest successful change of each property:
+ * property id => entry
+ */
+history.lastChanges = function() {
+    var res = {};
+
+    history.find().forEach(function(entry) {
+        if (entry.outcome === 'success' && !res[entry.propertyId]) {
+            res[entry.propertyId] = entry;
+        }
+    });
+    return res;
+};
+
+/**
+ * Add entry to history and remove the oldest ones over the limit.
+ * Failure to write history doesn't fail the change itself.
+ */
+history.record = function(entry, done) {
+    var time = new Date();
+
+    // zero padded sequence keeps order of entries within one ms
+    entry.id = time.getTime() + '-' + ('00000' + (nextSeq++ % 100000))
+                                      .slice(-5);
+    entry.time = time.toISOString();
+
+    async.series([
+        function(next) {
+            db.propertyHistory.createObject(entry, next);
+        },
+        function(next) {
+            entryIds.push(entry.id);
+
+            var over = Math.max(entryIds.length - HISTORY_MAX_ENTRIES, 0);
+
+            async.forEachSeries(entryIds.splice(0, over), function(id, next) {
+                db.propertyHistory.deleteObject(id, next);
+            }, next);
+        }
+    ], function(err) {
+        if (err) {
+            logger.error(__('Failed to record change of property %s: %s',
+                            entry.propertyId, err.toString()));
+        }
+        done();
+    });
+};
+
+/**
+ * Run change of property and record it with values before and after it.
+ *
+ * @param {Object}   ctx               Context of the change
+ * @param {Object}   prop              Property object
+ * @param {Object}   opts
+ * @param {String}   opts.operation    API operation: set, reset...
+ * @param {Boolean}  [opts.persistent] Persistent value is changed
+ * @param {String}   [opts.caller]     Who requested the change
+ * @param {Boolean}  [opts.rollback]   Change reverts failed transaction
+ * @param {Function} change            Function doing the change
+ * @param {Function} done              Callback with result of change
+ */
+history.trackChange = function(ctx, prop, opts, change, done) {
+    var getCtx = new Context({type: 'get'});
+    var oldValue;
+
+    function getValue(cb) {
+        prop.get({
+            ctx: getCtx,
+            persistent: !!opts.persistent,
+            strict: false
+        }, function(err, res) {
+            // value is informational, don't fail because of it
+            cb(err ? undefined : res);
+        });
+    }
+
+    getValue(function(value) {
+        oldValue = value;
+
+        change(function(changeErr) {
+            var args = arguments;
+
+            getValue(function(newValue) {
+                var outcome = 'success';
+
+                // unmasked values tell failed change from rolled back one
+                if (changeErr) {
+                    outcome = nefUtils.equals(oldValue, newValue) ?
+                              'rolledBack' : 'failed';
+                } else if (opts.rollback) {
+                    outcome = 'rolledBack';
+                }
+
+                history.record({
+                    propertyId: prop.id,
+                    module: prop.module && prop.module.id,
+                    operation: opts.operation,
+                    oldValue: utils.maskValue(prop, oldValue),
+                    newValue: utils.maskValue(prop, newValue),
+                    persistent: !!opts.persistent,
+                    contextType: ctx.type,
+                    contextName: ctx.name,
+                    caller: opts.caller,
+                    outcome: outcome,
+                    error: changeErr ? {
+                        code: changeErr.code,
+                        message: changeErr.message
+                    } : undefined
+                }, function() {
+                    done.apply(undefined, args);
+                });
+            });
+        });
+    });
+};
+
+module.exports = history;
@@ -0,0 +1,311 @@
+/**
+ * Dry run of configuration import.
+ *
+ * Configuration goes through the same module migrations and schema
+ * validation as in import job and the result is compared with stored
+ * values, but nothing is applied. Values of protected properties are
+ * masked in the plan.
+ *
+ * Reboot is estimated from optionalReboot flag of changed properties,
+ * setters are not run, so they can't tell if reboot is really needed.
+ */
+
+var async       = require('async');
+var nefUtils    = require('nef/utils');
+var NefError    = require('nef/error').NefError;
+var Context     = require('nef/sysconfig/Context');
+var main        = require('./sysconfigMain');
+var utils       = require('./sysconfigUtils');
+
+// exported stuff from this module
+var plan = {};
+
+var propertyPlanSchema = {
+    type: 'object',
+    properties: {
+        id: {
+            description: 'ID of the property',
+            type: 'string'
+        },
+        action: {
+            description: 'What import would do with the property',
+            type: 'string',
+            enum: ['change', 'unchanged', 'skip', 'fail']
+        },
+        currentValue: {
+            description: 'Stored value, masked for protected properties',
+            type: 'any'
+        },
+        newValue: {
+            description: 'Value after migrations, masked for protected ' +
+                         'properties',
+            type: 'any'
+        },
+        rebootNeeded: {
+            description: 'Change of the property may require reboot. ' +
+                         'It\'s an estimate from static property flag, ' +
+                         'setter can still decide that reboot isn\'t needed',
+            type: 'boolean'
+        },
+        reason: {
+            description: 'Why the property would be skipped or fail',
+            type: 'string'
+        }
+    }
+};
+
+plan.schema = {
+    type: 'object',
+    properties: {
+        valid: {
+            description: 'True if import is expected to succeed',
+            type: 'boolean'
+        },
+        rebootNeeded: {
+            description: 'Some changes may require reboot, estimated ' +
+                         'the same way as for single properties',
+            type: 'boolean'
+        },
+        modules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    module: {
+                        description: 'ID of the module',
+                        type: 'string'
+                    },
+                    status: {
+                        description: 'Result of migrations and validation ' +
+                                     'of the module',
+                        type: 'string',
+                        enum: ['ok', 'skip', 'fail']
+                    },
+                    fromVersion: {
+                        description: 'Version of module in configuration',
+                        type: 'integer'
+                    },
+                    toVersion: {
+                        description: 'Current version of the module',
+                        type: 'integer'
+                    },
+                    reason: {
+                        description: 'Why the module would be skipped ' +
+                                     'or fail',
+                        type: 'string'
+                    },
+                    properties: {
+                        type: 'array',
+                        items: propertyPlanSchema
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Create plan of import without applying anything.
+ *
+ * @param {Object}   args
+ * @param {Object}   args.configuration   Parsed configuration
+ * @param {String}   [args.type]          Import type: restore, clone...
+ * @param {String}   [args.context]       Name of the context
+ * @param {Function} done                 Callback with plan
+ */
+plan.create = function(args, done) {
+    var conf = args.configuration;
+
+    if (!nefUtils.isObject(conf) || !nefUtils.isArray(conf.modules)) {
+        return done(NefError('EINVAL', __('Configuration doesn\'t contain ' +
+                                          'list of modules')));
+    }
+
+    var ctx = new Context({
+        type: args.type || 'restore',
+        name: args.context,
+        args: {
+            force: args.force || false
+        }
+    });
+
+    async.mapSeries(conf.modules, function(entry, next) {
+        planModule(ctx, entry, next);
+    }, function(err, modules) {
+        if (err) {
+            return done(err);
+        }
+
+        var res = {
+            valid: true,
+            rebootNeeded: false,
+            modules: modules
+        };
+
+        modules.forEach(function(mod) {
+            if (mod.status === 'fail') {
+                res.valid = false;
+            }
+            mod.properties.forEach(function(prop) {
+                if (prop.action === 'fail') {
+                    res.valid = false;
+                }
+                if (prop.rebootNeeded) {
+                    res.rebootNeeded = true;
+                }
+            });
+        });
+
+        done(undefined, res);
+    });
+};
+
+/*
+ * Migrate and validate properties of one module from configuration.
+ * Problems are reported in the plan, callback never gets an error.
+ */
+function planModule(ctx, entry, done) {
+    var module = main.lookupModule(entry.id);
+    var res = {
+        module: String(entry.id),
+        status: 'ok',
+        fromVersion: (entry.meta && entry.meta.version) || 1,
+        properties: []
+    };
+
+    if (!module) {
+        res.status = 'skip';
+        res.reason = __('Module %s is not installed', entry.id).toString();
+        return done(undefined, res);
+    }
+    res.toVersion = module.version || 1;
+
+    if (res.fromVersion > res.toVersion) {
+        res.status = 'fail';
+        res.reason = __('Configuration is from newer version %d of the ' +
+                        'module, current version is %d', res.fromVersion,
+                        res.toVersion).toString();
+        return done(undefined, res);
+    }
+
+    // migrations modify properties in place, don't touch the original
+    var props = JSON.parse(JSON.stringify(entry.properties || {}));
+
+    migrate(ctx, module, res.fromVersion, props, function(err, props) {
+        if (err) {
+            res.status = 'fail';
+            res.reason = __('Migration failed: %s', err.toString())
+                    .toString();
+            return done(undefined, res);
+        }
+
+        async.mapSeries(Object.keys(props), function(name, next) {
+            planProperty(ctx, module, name, props[name], next);
+        }, function(err, list) {
+            res.properties = list;
+            done(undefined, res);
+        });
+    });
+}
+
+/*
+ * Run module migrations fromNtoN+1 up to the current module version.
+ */
+function migrate(ctx, module, fromVersion, props, done) {
+    var migrations = module.migrations || {};
+    var task = {
+        module: module,
+        ctx: ctx,
+        dryRun: true
+    };
+    var version = fromVersion;
+
+    async.whilst(function() {
+        return version < (module.version || 1);
+    }, function(next) {
+        var fn = migrations['from' + version + 'to' + (version + 1)];
+
+        version++;
+        if (!fn) {
+            return next();
+        }
+
+        try {
+            fn(task, props, function(err, res) {
+                if (res) {
+                    props = res;
+                }
+                next(err);
+            });
+        } catch (err) {
+            next(err);
+        }
+    }, function(err) {
+        done(err, props);
+    });
+}
+
+function planProperty(ctx, module, name, value, done) {
+    var prop = module.getProperty(name);
+    var res = {
+        id: module.id + '.' + name,
+        action: 'skip',
+        newValue: value
+    };
+
+    function finish(action, reason) {
+        res.action = action;
+        if (reason) {
+            res.reason = reason.toString();
+        }
+        if (prop) {
+            res.currentValue = utils.maskValue(prop, res.currentValue);
+            res.newValue = utils.maskValue(prop, res.newValue);
+        }
+        done(undefined, res);
+    }
+
+    if (!prop) {
+        return finish('skip', __('Property is not known to the module'));
+    }
+    if (prop.readOnly) {
+        return finish('skip', __('Property is read-only'));
+    }
+    if (prop.volatile) {
+        return finish('skip', __('Property is volatile'));
+    }
+    if ((prop.ignoreContexts || []).indexOf(ctx.type) !== -1) {
+        return finish('skip', __('Property is ignored in %s context',
+                                 ctx.type));
+    }
+
+    async.series([
+        function(next) {
+            main.validatePropertyValue(prop, value, next);
+        },
+        function(next) {
+            prop.get({
+                ctx: new Context({type: 'get'}),
+                persistent: true,
+                strict: false
+            }, function(err, current) {
+                // unreadable value is reported as changed
+                res.currentValue = err ? undefined : current;
+                next();
+            });
+        }
+    ], function(err) {
+        if (err) {
+            return finish('fail', err.toString());
+        }
+
+        if (nefUtils.equals(res.currentValue, value)) {
+            return finish('unchanged');
+        }
+
+        res.rebootNeeded = !!prop.optionalReboot;
+        finish('change');
+    });
+}
+
+module.exports = plan;
@@ -8,11 +8,13 @@ var async     = require('async');
 var assert    = require('assert');
 var ImportJob = require('nef/sysconfig/importJob');
 var nefUtils  = require('nef/utils');
+var schemaUtils = require('nef/schemaUtils');
 var worker    = require('nef/baseWorker');
 var logger    = require('nef/logger');
 var events    = require('nef/events');
 var NefError  = require('nef/error').NefError;
 var Context   = require('nef/sysconfig/Context');
+var history   = require('./sysconfigHistory');
 var commonConfig = nefUtils.requireConfig('config/common');
 
 // exported stuff from this module
@@ -245,6 +247,54 @@ main.lookupProperty = function(args) {
     return prop;
 };
 
+/**
+ * Fields attached to error of transactional set of properties when
+ * setter of a property fails
+ */
+main.transactionErrorSchema = {
+    type: 'object',
+    properties: {
+        failed: {
+            description: 'Property which setter failed, properties ' +
+                         'set before it were reverted',
+            type: 'object',
+            properties: {
+                id: {
+                    description: 'ID of the property',
+                    type: 'string'
+                },
+                code: {
+                    description: 'Error code',
+                    type: 'string'
+                },
+                message: {
+                    description: 'Error message',
+                    type: 'string'
+                }
+            }
+        },
+        reverted: {
+            description: 'Properties reverted after the failure, the last ' +
+                         'set one first',
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: {
+                        description: 'ID of the property',
+                        type: 'string'
+                    },
+                    error: {
+                        description: 'Why the property could not be ' +
+                                     'reverted',
+                        type: 'string'
+                    }
+                }
+            }
+        }
+    }
+};
+
 main.setProperty = function(ctx, args, done) {
     var prop;
 
@@ -262,14 +312,317 @@ main.setProperty = function(ctx, args, done) {
         return;
     }
 
-    prop.set({
-        ctx: ctx,
+    history.trackChange(ctx, prop, {
+        operation: 'set',
         persistent: args.persistent,
-        strict: args.strict,
-        value: args.value
+        caller: args.caller,
+        rollback: args.rollback
+    }, function(next) {
+        prop.set({
+            ctx: ctx,
+            persistent: args.persistent,
+            strict: args.strict,
+            value: args.value
+        }, next);
     }, done);
 };
 
+/**
+ * Check value against schema and validator of the property without
+ * setting it.
+ */
+main.validatePropertyValue = function(prop, value, done) {
+    if (prop.schema) {
+        var err = schemaUtils.validate(value, prop.schema,
+                                       __('Invalid value'), prop.id);
+        if (err) {
+            return done(err);
+        }
+    }
+
+    if (!prop.validator) {
+        return done();
+    }
+    prop.validator(value, done);
+};
+
+/**
+ * Set several properties with all-or-nothing semantics. All values are
+ * validated first, then properties are set in order of modules and
+ * their declaration. If any of them fails, properties set so far are
+ * reverted to their original values in reverse order.
+ *
+ * Invalid values are reported as error, nothing is changed then. Error
+ * of failed setter has failed and reverted properties attached, see
+ * main.transactionErrorSchema.
+ *
+ * @param {Object}   ctx                 Context of the change
+ * @param {Object}   args
+ * @param {Object}   args.pairs          Dict with pairs "id" => "value"
+ * @param {Boolean}  [args.persistent]   Change persistent values
+ * @param {Boolean}  [args.strict]       Strict mode of setters
+ * @param {String}   [args.caller]       Who requested the change
+ * @param {Function} done                Callback
+ */
+main.setPropertiesTransactional = function(ctx, args, done) {
+    var persistent = !!args.persistent;
+    var changes;
+
+    try {
+        changes = Object.keys(args.pairs).map(function(id) {
+            return {
+                prop: main.lookupProperty(id),
+                value: args.pairs[id]
+            };
+        });
+    } catch (err) {
+        return done(err);
+    }
+
+    changes.sort(function(a, b) {
+        var modA = a.prop.module;
+        var modB = b.prop.module;
+
+        if (modA.id !== modB.id) {
+            return modA.id < modB.id ? -1 : 1;
+        }
+        return modA.properties.indexOf(a.prop) -
+               modB.properties.indexOf(b.prop);
+    });
+
+    var applied = [];
+
+    async.series([
+        // validate all values before anything is changed
+        function(next) {
+            async.forEachSeries(changes, function(change, next) {
+                var id = change.prop.id;
+
+                if (change.value === undefined) {
+                    return next(NefError('EBADARG',
+                            __('No value provided for property %s', id)));
+                }
+                if (change.prop.readOnly) {
+                    return next(NefError('EACCES',
+                            __('Property %s is read-only', id)));
+                }
+
+                main.validatePropertyValue(change.prop, change.value,
+                        function(err) {
+                    if (err) {
+                        return next(NefError(err, err.code || 'EINVAL',
+                                __('Invalid value of property %s', id)));
+                    }
+                    next();
+                });
+            }, next);
+        },
+        // remember original values for rollback
+        function(next) {
+            async.forEachSeries(changes, function(change, next) {
+                getOriginalValues(change, persistent, next);
+            }, next);
+        },
+        function(next) {
+            async.forEachSeries(changes, function(change, next) {
+                main.setProperty(ctx, {
+                    id: change.prop.id,
+                    value: change.value,
+                    persistent: args.persistent,
+                    strict: args.strict,
+                    caller: args.caller
+                }, function(err) {
+                    if (err) {
+                        change.error = err;
+                        return next(err);
+                    }
+                    applied.push(change);
+                    next();
+                });
+            }, next);
+        }
+    ], function(err) {
+        if (!err) {
+            return done();
+        }
+
+        // nothing has been changed if validation failed
+        var failed = changes.filter(function(change) {
+            return change.error;
+        })[0];
+
+        if (!failed) {
+            return done(err);
+        }
+
+        revertChanges(ctx, applied.reverse(), persistent, args.caller, err,
+                function(reverted) {
+            var notReverted = reverted.filter(function(el) {
+                return el.error;
+            });
+            var msg;
+
+            if (notReverted.length === 0) {
+                msg = __('Failed to set property %s, all properties were ' +
+                         'reverted', failed.prop.id);
+            } else {
+                msg = __('Failed to set property %s, properties which ' +
+                         'could not be reverted: %s', failed.prop.id,
+                         nefUtils.pluck(notReverted, 'id').join(', '));
+            }
+
+            var res = NefError(err, err.code || 'EFAILED', msg);
+            res.failed = {
+                id: failed.prop.id,
+                code: err.code,
+                message: err.message
+            };
+            res.reverted = reverted;
+            done(res);
+        });
+    });
+};
+
+/*
+ * Read current and stored value of the property before it's changed.
+ */
+function getOriginalValues(change, persistent, done) {
+    var ctx = new Context({type: 'get'});
+
+    async.series([
+        function(next) {
+            change.prop.get({
+                ctx: ctx,
+                persistent: false,
+                strict: false
+            }, function(err, res) {
+                change.currentValue = res;
+                next(err);
+            });
+        },
+        function(next) {
+            if (!persistent) {
+                return next();
+            }
+            change.prop.get({
+                ctx: ctx,
+                persistent: true,
+                strict: false
+            }, function(err, res) {
+                change.storedValue = res;
+                next(err);
+            });
+        }
+    ], done);
+}
+
+/*
+ * Call hook of property with arguments it expects. Hooks take property
+ * and context before their own arguments, but may omit them, e.g.
+ * setter(value, done), setter(ctx, value, done) or
+ * setter(prop, ctx, value, done).
+ */
+function callHook(fn, prop, ctx, args, done) {
+    var all = [prop, ctx].concat(args, [done]);
+
+    fn.apply(undefined, all.slice(Math.max(all.length - fn.length, 0)));
+}
+
+/*
+ * Undo one applied change. Property with rollback hook undoes the live
+ * change itself and its stored value is written back by persistent
+ * setter, setters which took the change aren't run again. Properties
+ * without rollback hook are set back to the original values.
+ */
+function revertChange(ctx, change, persistent, caller, cause, done) {
+    var prop = change.prop;
+
+    if (!prop.rollback) {
+        var steps = [];
+
+        if (persistent) {
+            steps.push({
+                persistent: true,
+                value: change.storedValue
+            });
+        }
+        if (!persistent ||
+            !nefUtils.equals(change.currentValue, change.storedValue)) {
+            steps.push({
+                persistent: false,
+                value: change.currentValue
+            });
+        }
+
+        async.forEachSeries(steps, function(step, next) {
+            main.setProperty(ctx, {
+                id: prop.id,
+                value: step.value,
+                persistent: step.persistent,
+                strict: false,
+                caller: caller,
+                rollback: true
+            }, next);
+        }, done);
+        return;
+    }
+
+    var rollbackCtx = new Context({
+        type: ctx.type,
+        name: ctx.name
+    });
+
+    rollbackCtx.origValue = persistent ? change.storedValue :
+                                         change.currentValue;
+    rollbackCtx.newValue = change.value;
+
+    history.trackChange(ctx, prop, {
+        operation: 'set',
+        persistent: persistent,
+        caller: caller,
+        rollback: true
+    }, function(next) {
+        async.series([
+            function(next) {
+                callHook(prop.rollback, prop, rollbackCtx, [cause], next);
+            },
+            function(next) {
+                if (!persistent || !prop.persistentSetter) {
+                    return next();
+                }
+                callHook(prop.persistentSetter, prop, rollbackCtx,
+                         [change.storedValue], next);
+            }
+        ], next);
+    }, done);
+}
+
+/*
+ * Revert applied changes. Failures are collected, so that we try to
+ * revert as much as possible.
+ */
+function revertChanges(ctx, changes, persistent, caller, cause, done) {
+    var reverted = [];
+
+    async.forEachSeries(changes, function(change, next) {
+        revertChange(ctx, change, persistent, caller, cause, function(err) {
+            var entry = {
+                id: change.prop.id
+            };
+
+            if (err) {
+                logger.error(__('Failed to revert property %s: %s',
+                                change.prop.id, err.toString()));
+                entry.error = err.toString();
+            }
+            reverted.push(entry);
+            next();
+        });
+    }, function() {
+        done(reverted);
+    });
+}
+
 /**
  * Used by property finder method. Get list of properties with matching
  * substring and with proper compatVersions
@@ -338,16 +691,28 @@ main.getImportJob = function() {
 };
 
 /**
- * Configuration importer helper
+ * Return EEXIST error if import job is running. It's checked before
+ * anything is done for new import job.
  */
-main.doImport = function(args) {
+main.checkImportNotRunning = function() {
     var isRunning = (importJobInstance !== undefined) &&
         (['done', 'failed'].indexOf(importJobInstance.status) === -1);
 
     if (isRunning) {
-        throw NefError('EEXIST', __('Import job is already running, ' +
+        return NefError('EEXIST', __('Import job is already running, ' +
                     'abort it or wait before starting next import job'));
     }
+};
+
+/**
+ * Configuration importer helper
+ */
+main.doImport = function(args) {
+    var runningErr = main.checkImportNotRunning();
+
+    if (runningErr) {
+        throw runningErr;
+    }
 
     var instance = new ImportJob(modules);
     instance.load(args.configuration);
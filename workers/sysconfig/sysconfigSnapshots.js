@@ -0,0 +1,315 @@
+/**
+ * Named snapshots of the whole system configuration stored on the
+ * appliance. Snapshot contains the same JSON as exportConfiguration
+ * returns, so it can be restored by usual import job.
+ */
+
+var async    = require('async');
+var ObjectDb = require('nef/objectDb');
+var worker   = require('nef/baseWorker');
+var logger   = require('nef/logger');
+var nefUtils = require('nef/utils');
+var NefError = require('nef/error').NefError;
+var main     = require('./sysconfigMain');
+var utils    = require('./sysconfigUtils');
+
+var commonConfig = nefUtils.requireConfig('config/common');
+
+// exported stuff from this module
+var snapshots = {};
+
+/*
+ * Max number of automatic snapshots, the oldest are removed first.
+ * Snapshots created on demand are never removed automatically.
+ */
+var AUTO_SNAPSHOTS_MAX = commonConfig.sysconfigAutoSnapshots || 10;
+
+snapshots.schema = {
+    type: 'object',
+    properties: {
+        name: {
+            description: 'Name of the snapshot',
+            type: 'string',
+            pattern: '^[A-Za-z0-9_.:-]+$'
+        },
+        description: {
+            description: 'Description of the snapshot',
+            type: 'string'
+        },
+        created: {
+            description: 'Time when the snapshot was created',
+            type: 'string',
+            format: 'date-time'
+        },
+        automatic: {
+            description: 'Snapshot was created automatically before ' +
+                         'import of configuration',
+            type: 'boolean'
+        },
+        configuration: {
+            description: 'Configuration in exportConfiguration format',
+            type: 'string'
+        }
+    }
+};
+
+snapshots.diffSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            id: {
+                description: 'ID of the property',
+                type: 'string'
+            },
+            change: {
+                description: 'How the property differs',
+                type: 'string',
+                enum: ['added', 'removed', 'modified']
+            },
+            oldValue: {
+                description: 'Value in the first configuration, masked ' +
+                             'for protected properties',
+                type: 'any'
+            },
+            newValue: {
+                description: 'Value in the second configuration, masked ' +
+                             'for protected properties',
+                type: 'any'
+            }
+        }
+    }
+};
+
+var db = new ObjectDb(worker.dbDir, 'inmemory', {
+    'snapshots': {
+        autoCommit: true,
+        primaryKey: 'name',
+        objectSchema: snapshots.schema
+    }
+});
+
+/**
+ * Open snapshots DB.
+ */
+snapshots.init = function(done) {
+    db.open({
+        createDir: true
+    }, done);
+};
+
+/**
+ * List snapshots without configuration, the oldest first.
+ */
+snapshots.find = function() {
+    var res = db.snapshots.find({}).map(function(snap) {
+        return nefUtils.sliceObject(snap, 'name', 'description', 'created',
+                                    'automatic');
+    });
+
+    res.sort(function(a, b) {
+        return a.created.localeCompare(b.created);
+    });
+    return res;
+};
+
+/**
+ * Get snapshot by name.
+ * Throws exception with NefError object if snapshot cannot be found.
+ */
+snapshots.lookup = function(name) {
+    try {
+        return db.snapshots.loadObject(name);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            throw NefError('ENOENT', __('Snapshot %s not found', name));
+        }
+        throw err;
+    }
+};
+
+/**
+ * Create snapshot of current configuration.
+ *
+ * @param {Object}   opts
+ * @param {String}   [opts.name]         Name, generated for automatic ones
+ * @param {String}   [opts.description]  Description of the snapshot
+ * @param {Boolean}  [opts.automatic]    Snapshot is created automatically
+ * @param {Function} done                Callback with created snapshot
+ */
+snapshots.create = function(opts, done) {
+    var created = new Date().toISOString();
+    var snap = {
+        name: opts.name || 'auto-' + created.replace(/[^0-9]/g, ''),
+        description: opts.description && opts.description.toString(),
+        created: created,
+        automatic: !!opts.automatic
+    };
+
+    try {
+        snapshots.lookup(snap.name);
+        return done(NefError('EEXIST', __('Snapshot %s already exists',
+                                          snap.name)));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            return done(err);
+        }
+    }
+
+    async.series([
+        function(next) {
+            main.doExport({}, function(err, res) {
+                snap.configuration = res;
+                next(err);
+            });
+        },
+        function(next) {
+            db.snapshots.createObject(snap, next);
+        },
+        function(next) {
+            if (!snap.automatic) {
+                return next();
+            }
+
+            var auto = snapshots.find().filter(function(el) {
+                return el.automatic;
+            });
+
+            async.forEachSeries(auto.slice(0, -AUTO_SNAPSHOTS_MAX),
+                    function(old, next) {
+                db.snapshots.deleteObject(old.name, next);
+            }, next);
+        }
+    ], function(err) {
+        if (err) {
+            return done(err);
+        }
+        logger.info(__('Created configuration snapshot %s', snap.name));
+        done(undefined, snapshots.lookup(snap.name));
+    });
+};
+
+/**
+ * Create automatic snapshot before configuration is changed by import.
+ * Failure is only logged, it shouldn't block the import.
+ */
+snapshots.createAuto = function(description, done) {
+    snapshots.create({
+        description: description,
+        automatic: true
+    }, function(err) {
+        if (err) {
+            logger.error(__('Failed to create configuration snapshot: %s',
+                            err.toString()));
+        }
+        done();
+    });
+};
+
+snapshots.destroy = function(name, done) {
+    snapshots.lookup(name);
+    db.snapshots.deleteObject(name, done);
+};
+
+/**
+ * Restore configuration from snapshot by import job. Current
+ * configuration is saved to automatic snapshot first, so restore
+ * can be undone too.
+ */
+snapshots.restore = function(name, opts, done) {
+    var snap = snapshots.lookup(name);
+    var runningErr = main.checkImportNotRunning();
+
+    if (runningErr) {
+        return done(runningErr);
+    }
+
+    snapshots.createAuto(__('Before restore of snapshot %s', name),
+            function() {
+        try {
+            main.doImport({
+                configuration: JSON.parse(snap.configuration),
+                type: 'restore',
+                context: opts.context,
+                force: opts.force
+            });
+        } catch (err) {
+            return done(err);
+        }
+        done();
+    });
+};
+
+/**
+ * Per-property diff between two snapshots. If second snapshot
+ * is not specified then live configuration is used.
+ */
+snapshots.diff = function(from, to, done) {
+    var fromSnap = snapshots.lookup(from);
+
+    async.waterfall([
+        function(next) {
+            if (to) {
+                return next(undefined, snapshots.lookup(to).configuration);
+            }
+            main.doExport({}, next);
+        },
+        function(toConf, next) {
+            var oldProps = flattenConfiguration(fromSnap.configuration);
+            var newProps = flattenConfiguration(toConf);
+            var ids = Object.keys(nefUtils.extend({}, oldProps, newProps));
+            var res = [];
+
+            ids.sort().forEach(function(id) {
+                var prop = lookupProperty(id);
+                var entry = {
+                    id: id,
+                    oldValue: utils.maskValue(prop, oldProps[id]),
+                    newValue: utils.maskValue(prop, newProps[id])
+                };
+
+                if (!(id in oldProps)) {
+                    entry.change = 'added';
+                } else if (!(id in newProps)) {
+                    entry.change = 'removed';
+                } else if (!nefUtils.equals(oldProps[id], newProps[id])) {
+                    entry.change = 'modified';
+                } else {
+                    return;
+                }
+                res.push(entry);
+            });
+
+            next(undefined, res);
+        }
+    ], done);
+};
+
+/*
+ * Convert configuration JSON into dict of property id => value
+ */
+function flattenConfiguration(configuration) {
+    var conf = JSON.parse(configuration);
+    var res = {};
+
+    (conf.modules || []).forEach(function(module) {
+        for (var name in module.properties) {
+            res[module.id + '.' + name] = module.properties[name];
+        }
+    });
+    return res;
+}
+
+function lookupProperty(id) {
+    try {
+        return main.lookupProperty(id);
+    } catch (err) {
+        // property of removed module, be on the safe side
+        return {
+            id: id,
+            protected: true
+        };
+    }
+}
+
+module.exports = snapshots;
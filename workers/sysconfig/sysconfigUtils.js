@@ -0,0 +1,31 @@
+/**
+ * Helpers shared by reports about properties: property history,
+ * configuration drift, snapshot diffs and import plans.
+ */
+
+// exported stuff from this module
+var utils = {};
+
+/*
+ * Value shown instead of values of protected properties
+ */
+var MASKED_VALUE = '********';
+
+/**
+ * Mask value of protected property. All reports mask values the same
+ * way, no matter if the value was read from the property or taken from
+ * snapshot or imported configuration. Undefined value is kept, so it's
+ * still visible that there is no value.
+ *
+ * @param {Object} prop    Property object
+ * @param {*}      value   Value to mask
+ * @returns {*} The value or mask
+ */
+utils.maskValue = function(prop, value) {
+    if (!prop.protected || value === undefined) {
+        return value;
+    }
+    return MASKED_VALUE;
+};
+
+module.exports = utils;
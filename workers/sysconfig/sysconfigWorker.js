@@ -20,6 +20,9 @@ var commonConfig  = nefUtils.requireConfig('config/common');
 worker.info(require('./worker.json')); // must come before API definition
 var api  = require('./sysconfigApi');
 var main = require('./sysconfigMain');
+var history = require('./sysconfigHistory');
+var snapshots = require('./sysconfigSnapshots');
+var drift = require('./sysconfigDrift');
 var sslUtils = require('nef/sslUtils');
 var execFile = require('child_process').execFile;
 
@@ -254,6 +257,8 @@ function checkLocalCa(done) {
  * Worker startup code
  */
 async.series([
+    history.init,
+    snapshots.init,
     loadModules,
     loadWorkerAdapters,
     loadServices,
@@ -268,4 +273,5 @@ async.series([
     worker.start();
     events.privateEvent('NEF_sysconfig_initialized');
     process.nextTick(main.emitRebootNeededEvent);
+    process.nextTick(drift.scheduleChecks);
 });
@@ -0,0 +1,112 @@
+var async = require('async');
+var expect = require('chai').expect;
+
+module.exports = function test() {
+    var self = this;
+
+    describe('property history', function() {
+        var since;
+
+        before('reset values', function(done) {
+            since = new Date().toISOString();
+            async.series([
+                (next) => self.worker.setProperty({
+                    id: 'test.rollbackTest',
+                    value: 'ok',
+                    persistent: true
+                }, next),
+                (next) => self.worker.setProperty({
+                    id: 'test.password',
+                    value: 'history pass',
+                    persistent: true,
+                    caller: 'auditor'
+                }, next)
+            ], done);
+        });
+
+        function lastChange(id, done) {
+            self.worker.findPropertyHistory({
+                where: {
+                    propertyId: id,
+                    since: since
+                }
+            }, (err, res) => {
+                expect(err).success;
+                expect(res).to.have.length.above(0);
+                done(res[0]);
+            });
+        }
+
+        it('should record change with caller', function(done) {
+            lastChange('test.password', (entry) => {
+                expect(entry.module).to.equal('test');
+                expect(entry.operation).to.equal('set');
+                expect(entry.persistent).to.equal(true);
+                expect(entry.contextType).to.equal('set');
+                expect(entry.caller).to.equal('auditor');
+                expect(entry.outcome).to.equal('success');
+                done();
+            });
+        });
+
+        it('should mask values of protected property', function(done) {
+            lastChange('test.password', (entry) => {
+                expect(entry.newValue).to.not.equal('history pass');
+                done();
+            });
+        });
+
+        it('should record rolled back change', function(done) {
+            async.series([
+                (next) => self.worker.setProperty({
+                    id: 'test.rollbackTest',
+                    value: 'fail current',
+                    persistent: true
+                }, (err) => {
+                    expect(err).to.have.errorCode('EBADARG');
+                    next();
+                }),
+                (next) => lastChange('test.rollbackTest', (entry) => {
+                    expect(entry.oldValue).to.equal('ok');
+                    expect(entry.newValue).to.equal('ok');
+                    expect(entry.outcome).to.equal('rolledBack');
+                    expect(entry.error.code).to.equal('EBADARG');
+                    next();
+                })
+            ], done);
+        });
+
+        it('should record change without persistent flag as temporary',
+                function(done) {
+            async.series([
+                (next) => self.worker.setProperty({
+                    id: 'test.rollbackTest',
+                    value: 'temporary'
+                }, next),
+                (next) => lastChange('test.rollbackTest', (entry) => {
+                    expect(entry.persistent).to.equal(false);
+                    expect(entry.newValue).to.equal('temporary');
+                    expect(entry.outcome).to.equal('success');
+                    next();
+                }),
+                (next) => self.worker.resetProperty({
+                    id: 'test.rollbackTest'
+                }, next)
+            ], done);
+        });
+
+        it('should filter changes by time', function(done) {
+            self.worker.findPropertyHistory({
+                where: {
+                    until: since
+                }
+            }, (err, res) => {
+                expect(err).success;
+                res.forEach((entry) => {
+                    expect(entry.time < since).to.equal(true);
+                });
+                done();
+            });
+        });
+    });
+};
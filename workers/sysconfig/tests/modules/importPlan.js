@@ -0,0 +1,111 @@
+var async = require('async');
+var expect = require('chai').expect;
+
+module.exports = function test() {
+    var self = this;
+
+    function planImport(properties, version, done) {
+        self.worker.importConfiguration({
+            configuration: JSON.stringify({
+                version: 1,
+                modules: [{
+                    id: 'test',
+                    meta: {
+                        version: version
+                    },
+                    properties: properties
+                }]
+            }),
+            dryRun: true
+        }, (err, res) => {
+            expect(err).success;
+            expect(res.modules).to.have.length(1);
+            done(res, toDict(res.modules[0].properties));
+        });
+    }
+
+    function toDict(list) {
+        var res = {};
+        list.forEach((el) => {
+            res[el.id] = el;
+        });
+        return res;
+    }
+
+    describe('import dry run', function() {
+
+        before('set initial values', function(done) {
+            async.series([
+                (next) => self.worker.setProperty({
+                    id: 'test.aValue',
+                    value: 42,
+                    persistent: true
+                }, next),
+                (next) => self.worker.setProperty({
+                    id: 'test.aList',
+                    value: ['plan'],
+                    persistent: true
+                }, next)
+            ], done);
+        });
+
+        it('should plan changed and unchanged properties', function(done) {
+            planImport({
+                aValue: 43,
+                aList: ['plan'],
+                rebootTest: 'reboot'
+            }, 5, (res, props) => {
+                expect(res.valid).to.equal(true);
+                expect(res.rebootNeeded).to.equal(true);
+                expect(props['test.aValue'].action).to.equal('change');
+                expect(props['test.aValue'].currentValue).to.equal(42);
+                expect(props['test.aValue'].newValue).to.equal(43);
+                expect(props['test.aList'].action).to.equal('unchanged');
+                expect(props['test.rebootTest'].rebootNeeded)
+                    .to.equal(true);
+                done();
+            });
+        });
+
+        it('should not apply anything', function(done) {
+            self.worker.getProperty({
+                id: 'test.aValue',
+                persistent: true
+            }, (err, res) => {
+                expect(err).success;
+                expect(res).to.equal(42);
+                done();
+            });
+        });
+
+        it('should run migrations', function(done) {
+            planImport({
+                oldValue: 10,
+                aList: ['plan'],
+                shouldBeRemoved: 12
+            }, 1, (res, props) => {
+                expect(res.modules[0].fromVersion).to.equal(1);
+                expect(res.modules[0].toVersion).to.equal(5);
+                expect(props['test.aValue'].newValue).to.equal(25);
+                expect(props['test.aList'].newValue)
+                    .to.deep.equal(['plan', 'added in migration']);
+                expect(props).to.not.have.property('test.oldValue');
+                expect(props).to.not.have.property('test.shouldBeRemoved');
+                done();
+            });
+        });
+
+        it('should report invalid and skipped properties', function(done) {
+            planImport({
+                aValue: 'not a number',
+                readOnlyThing: 'changed'
+            }, 5, (res, props) => {
+                expect(res.valid).to.equal(false);
+                expect(props['test.aValue'].action).to.equal('fail');
+                expect(props['test.aValue'].reason).to.be.a('string');
+                expect(props['test.readOnlyThing'].action).to.equal('skip');
+                done();
+            });
+        });
+    });
+};
@@ -155,4 +155,195 @@ module.exports = function test() {
             ], done);
         });
     });
+
+    describe('transactional bulk set', function() {
+
+        // current values are expected to be the same as stored ones
+        // unless they are given
+        function checkValues(stored, current, done) {
+            if (typeof current === 'function') {
+                done = current;
+                current = stored;
+            }
+
+            self.worker.findProperties({
+                where: {
+                    module: 'test'
+                },
+                includeValues: true
+            }, (err, res) => {
+                expect(err).success;
+
+                var props = nefUtils.arrayToDict(res, 'id');
+                for (var id in stored) {
+                    expect(props[id].storedValue).to.equal(stored[id]);
+                    expect(props[id].currentValue).to.equal(current[id]);
+                }
+                done();
+            });
+        }
+
+        beforeEach('reset values', function(done) {
+            self.worker.bulkSetProperties({
+                pairs: {
+                    'test.aValue': 5,
+                    'test.rollbackTest': 'ok'
+                },
+                persistent: true
+            }, done);
+        });
+
+        it('should set all properties', function(done) {
+            async.series([
+                (next) => self.worker.bulkSetProperties({
+                    pairs: {
+                        'test.aValue': 6,
+                        'test.rollbackTest': 'changed'
+                    },
+                    persistent: true,
+                    transactional: true
+                }, next),
+
+                (next) => checkValues({
+                    'test.aValue': 6,
+                    'test.rollbackTest': 'changed'
+                }, next)
+            ], done);
+        });
+
+        it('should set current values without persistent flag',
+                function(done) {
+            async.series([
+                (next) => self.worker.bulkSetProperties({
+                    pairs: {
+                        'test.aValue': 6,
+                        'test.rollbackTest': 'changed'
+                    },
+                    transactional: true
+                }, next),
+
+                (next) => checkValues({
+                    'test.aValue': 5,
+                    'test.rollbackTest': 'ok'
+                }, {
+                    'test.aValue': 6,
+                    'test.rollbackTest': 'changed'
+                }, next)
+            ], done);
+        });
+
+        it('should not set anything if value is invalid', function(done) {
+            async.series([
+                (next) => self.worker.bulkSetProperties({
+                    pairs: {
+                        'test.rollbackTest': 'changed',
+                        'test.aValue': 'not a number'
+                    },
+                    persistent: true,
+                    transactional: true
+                }, (err) => {
+                    expect(err).to.exist;
+                    next();
+                }),
+
+                (next) => checkValues({
+                    'test.aValue': 5,
+                    'test.rollbackTest': 'ok'
+                }, next)
+            ], done);
+        });
+
+        it('should revert set properties after failure', function(done) {
+            async.series([
+                (next) => self.worker.bulkSetProperties({
+                    pairs: {
+                        'test.rollbackTest': 'fail persistent',
+                        'test.aValue': 7
+                    },
+                    persistent: true,
+                    transactional: true
+                }, (err) => {
+                    expect(err).to.have.errorCode('EBADARG');
+                    expect(err.failed.id).to.equal('test.rollbackTest');
+                    expect(err.failed.code).to.equal('EBADARG');
+                    expect(err.reverted).to.deep.equal([{
+                        id: 'test.aValue'
+                    }]);
+                    next();
+                }),
+
+                (next) => checkValues({
+                    'test.aValue': 5,
+                    'test.rollbackTest': 'ok'
+                }, next),
+
+                (next) => self.worker.findPropertyHistory({
+                    where: {
+                        propertyId: 'test.aValue'
+                    }
+                }, (err, res) => {
+                    expect(err).success;
+                    expect(res[0].outcome).to.equal('rolledBack');
+                    expect(res[0].newValue).to.equal(5);
+                    next();
+                })
+            ], done);
+        });
+
+        it('should revert current values without persistent flag',
+                function(done) {
+            async.series([
+                (next) => self.worker.bulkSetProperties({
+                    pairs: {
+                        'test.rollbackTest': 'fail current',
+                        'test.aValue': 7
+                    },
+                    transactional: true
+                }, (err) => {
+                    expect(err).to.have.errorCode('EBADARG');
+                    expect(err.failed.id).to.equal('test.rollbackTest');
+                    expect(err.reverted).to.deep.equal([{
+                        id: 'test.aValue'
+                    }]);
+                    next();
+                }),
+
+                (next) => checkValues({
+                    'test.aValue': 5,
+                    'test.rollbackTest': 'ok'
+                }, next)
+            ], done);
+        });
+
+        it('should revert property by its rollback hook', function(done) {
+            async.series([
+                (next) => self.worker.bulkSetProperties({
+                    pairs: {
+                        'test.rollbackTest': 'changed',
+                        'test.failingThing': 'fail'
+                    },
+                    transactional: true
+                }, (err) => {
+                    expect(err).to.have.errorCode('EBADARG');
+                    expect(err.failed.id).to.equal('test.failingThing');
+                    expect(err.reverted).to.deep.equal([{
+                        id: 'test.rollbackTest'
+                    }]);
+                    next();
+                }),
+
+                (next) => self.worker.getProperty({
+                    id: 'test.rollbackMeter'
+                }, (err, meter) => {
+                    expect(err).success;
+                    expect(meter.called).to.equal(true);
+                    expect(meter.err).to.equal(
+                            'EBADARG: Failure in setter');
+                    expect(meter.ctx.origValue).to.equal('ok');
+                    expect(meter.ctx.newValue).to.equal('changed');
+                    next();
+                })
+            ], done);
+        });
+    });
 };
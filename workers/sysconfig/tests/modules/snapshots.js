@@ -0,0 +1,198 @@
+var async = require('async');
+var expect = require('chai').expect;
+
+module.exports = function test() {
+    var self = this;
+    var name = 'test-snapshot-' + Date.now();
+    var secondName = name + '-second';
+
+    describe('configuration snapshots', function() {
+
+        before('set initial values', function(done) {
+            async.series([
+                (next) => self.worker.setProperty({
+                    id: 'test.rollbackTest',
+                    value: 'ok',
+                    persistent: true
+                }, next),
+                (next) => self.worker.setProperty({
+                    id: 'test.password',
+                    value: 'snapshot pass',
+                    persistent: true
+                }, next)
+            ], done);
+        });
+
+        after('remove snapshots', function(done) {
+            async.forEachSeries([name, secondName], (snap, next) => {
+                self.worker.destroyConfigSnapshot({
+                    name: snap
+                }, () => next());
+            }, done);
+        });
+
+        function findEntry(res, id) {
+            return res.filter((el) => {
+                return el.id === id;
+            })[0];
+        }
+
+        it('should create snapshot', function(done) {
+            self.worker.createConfigSnapshot({
+                name: name,
+                description: 'Test snapshot'
+            }, (err) => {
+                expect(err).success;
+                done();
+            });
+        });
+
+        it('should fail to create snapshot with existing name', function(done) {
+            self.worker.createConfigSnapshot({
+                name: name
+            }, (err) => {
+                expect(err).to.have.errorCode('EEXIST');
+                done();
+            });
+        });
+
+        it('should list snapshot without configuration', function(done) {
+            self.worker.findConfigSnapshots({
+                where: {
+                    name: name
+                }
+            }, (err, res) => {
+                expect(err).success;
+                expect(res).to.have.length(1);
+                expect(res[0].description).to.equal('Test snapshot');
+                expect(res[0].automatic).to.equal(false);
+                expect(res[0].configuration).to.be.undefined;
+                done();
+            });
+        });
+
+        it('should show no difference right after creation', function(done) {
+            self.worker.diffConfigSnapshots({
+                from: name
+            }, (err, res) => {
+                expect(err).success;
+                var ids = res.map((entry) => entry.id);
+                expect(ids).to.not.include('test.rollbackTest');
+                done();
+            });
+        });
+
+        it('should show modified property', function(done) {
+            async.series([
+                (next) => self.worker.setProperty({
+                    id: 'test.rollbackTest',
+                    value: 'snapshot changed',
+                    persistent: true
+                }, next),
+                (next) => self.worker.diffConfigSnapshots({
+                    from: name
+                }, (err, res) => {
+                    expect(err).success;
+                    var entry = findEntry(res, 'test.rollbackTest');
+                    expect(entry).to.deep.equal({
+                        id: 'test.rollbackTest',
+                        change: 'modified',
+                        oldValue: 'ok',
+                        newValue: 'snapshot changed'
+                    });
+                    next();
+                })
+            ], done);
+        });
+
+        it('should mask values of protected property', function(done) {
+            async.series([
+                (next) => self.worker.setProperty({
+                    id: 'test.password',
+                    value: 'snapshot pass changed',
+                    persistent: true
+                }, next),
+                (next) => self.worker.diffConfigSnapshots({
+                    from: name
+                }, (err, res) => {
+                    expect(err).success;
+                    var entry = findEntry(res, 'test.password');
+                    expect(entry.change).to.equal('modified');
+                    expect(entry.oldValue).to.not.equal('snapshot pass');
+                    expect(entry.newValue).to.not.equal(
+                            'snapshot pass changed');
+                    next();
+                })
+            ], done);
+        });
+
+        it('should show difference between two snapshots', function(done) {
+            async.series([
+                (next) => self.worker.createConfigSnapshot({
+                    name: secondName
+                }, next),
+                (next) => self.worker.diffConfigSnapshots({
+                    from: name,
+                    to: secondName
+                }, (err, res) => {
+                    expect(err).success;
+                    expect(findEntry(res, 'test.rollbackTest')).to.deep.equal({
+                        id: 'test.rollbackTest',
+                        change: 'modified',
+                        oldValue: 'ok',
+                        newValue: 'snapshot changed'
+                    });
+                    expect(findEntry(res, 'test.password').change)
+                        .to.equal('modified');
+                    next();
+                })
+            ], done);
+        });
+
+        it('should restore snapshot', function(done) {
+            async.series([
+                (next) => self.worker.restoreConfigSnapshot({
+                    name: name
+                }, (err) => {
+                    expect(err).success;
+                    next();
+                }),
+                (next) => self.waitForImportJob('done', next),
+                (next) => self.worker.getProperty({
+                    id: 'test.rollbackTest',
+                    persistent: true
+                }, (err, res) => {
+                    expect(err).success;
+                    expect(res).to.equal('ok');
+                    next();
+                })
+            ], done);
+        });
+
+        it('should create automatic snapshot before restore', function(done) {
+            self.worker.findConfigSnapshots({
+                where: {
+                    automatic: true
+                }
+            }, (err, res) => {
+                expect(err).success;
+                expect(res).to.have.length.above(0);
+                done();
+            });
+        });
+
+        it('should destroy snapshot', function(done) {
+            async.series([
+                (next) => self.worker.destroyConfigSnapshot({
+                    name: name
+                }, next),
+                (next) => self.worker.diffConfigSnapshots({
+                    from: name
+                }, (err) => {
+                    expect(err).to.have.errorCode('ENOENT');
+                    next();
+                })
+            ], done);
+        });
+    });
+};
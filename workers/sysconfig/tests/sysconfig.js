@@ -28,7 +28,11 @@ var modules = [
     'compatibility',
     'rollback',
     'context',
-    'certificate'
+    'certificate',
+    'history',
+    'snapshots',
+    'importPlan',
+    'drift'
 ];
 
 describe('sysconfig', function() {